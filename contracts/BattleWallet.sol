@@ -1,10 +1,13 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
-import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+import {BattleWalletBase, IBattleWalletFactoryMinimal, IERC20, SafeERC20} from "./BattleWalletBase.sol";
+import {BattleWalletOwnerActions} from "./BattleWalletOwnerActions.sol";
+import {BattleWalletPots} from "./BattleWalletPots.sol";
 
 /**
  * @title BattleWallet (EVM)
@@ -12,160 +15,92 @@ import {Address} from "@openzeppelin/contracts/utils/Address.sol";
  *         original implementation with message based interactions replaced by direct
  *         function calls.
  */
-contract BattleWallet is ReentrancyGuard, EIP712 {
+contract BattleWallet is BattleWalletBase {
     using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
 
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Errors
-    // ─────────────────────────────────────────────────────────────────────────────
-    error InvalidFeeBasisPoints();
-    error AmountGreaterThanReserved();
-    error InvalidAmount();
-    error ExpiredInPast();
-    error GameExists();
-    error BadSignature();
-    error InsufficientFunds();
-    error SenderNotAllowed();
-    error GameNotFound();
-    error UnexpectedStatus();
-    error InsufficientReserved();
-    error ReservationExpired();
-    error AddressMismatch();
-    error NoTokenWallet();
-    error ApprovalRequired();
-    error InvalidToken();
-    error AlreadyInitialized();
-    error ZeroAddress();
-    error InvalidFactory();
-    error InvalidNonce();
-    error InvalidGameId();
-
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Types
-    // ─────────────────────────────────────────────────────────────────────────────
-
-    struct Reservation {
-        uint256 amount;
-        address opponent;
-        bool isToken;
-        address feeWallet;
-        uint16 feeBasisPoints;
-        // flag for whether the record exists
-        bool exists;
-        // whether the reservation is still active (funds reserved)
-        bool active;
-        uint64 expiration;
-        uint64 nextGameId;
-    }
-
-    struct ReserveRequest {
-        uint64 gameId;
-        uint256 amount;
-        address player1;
-        address player2;
-        bool isToken;
-        uint64 noncePlayer1;
-        uint64 noncePlayer2;
-        address feeWallet;
-        uint16 feeBasisPoints;
-        address factory;
-    }
-
-    struct SettlementRequest {
-        uint64 gameId;
-        address winner;
-        address loser;
-        address factory;
-    }
-
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Storage
-    // ─────────────────────────────────────────────────────────────────────────────
-    address public owner;
-    address public factory;
-
-    IERC20 public token;
-    bool public tokenSet;
-
-    bool public requireApproval;
-    bool public initialized;
-
-    uint64 public nextNonce;
-
-    uint256 public totalReservedEth;
-    uint256 public totalReservedToken;
-
-    uint64 public totalWins;
-    uint64 public totalLosses;
-
-    uint64 private constant DEFAULT_RELEASE_TRAVERSAL_LIMIT = 50;
-
-    // reservations is a linked list, in the order they come in --
-    // which is also in order of TTL, so long as TTL is not changed
-    mapping(uint64 => Reservation) private reservations;
-    uint64 private firstGameId;
-    uint64 private lastGameId;
+    // module contracts for the functions forwarded with _delegate, see BattleWalletBase
+    address private immutable ownerActionsModule;
+    address private immutable potsModule;
 
     // Type hashes for signatures (hashed with address(this) for domain separation)
     bytes32 private constant RESERVE_TYPEHASH = keccak256(
-        "RESERVE(uint64 gameId,uint256 amount,address player1,address player2,bool isToken,uint64 noncePlayer1,uint64 noncePlayer2,address feeWallet,uint16 feeBasisPoints,address factory)"
+        "RESERVE(uint64 gameId,uint256 amountPlayer1,uint256 amountPlayer2,address player1,address player2,address tokenPlayer1,address tokenPlayer2,uint64 ttl,uint64 noncePlayer1,uint64 noncePlayer2,FeeSplit[] fees,address factory)FeeSplit(address recipient,uint16 basisPoints)"
+    );
+    bytes32 private constant OWNER_SETTLE_TYPEHASH =
+        keccak256("SETTLE(uint64 gameId,address winner,address loser,address factory,uint64 expiration)");
+    bytes32 private constant MUTUAL_CANCEL_TYPEHASH = keccak256(
+        "MUTUAL_CANCEL(uint64 gameId,address walletOne,address walletTwo,address factory,uint64 deadline,uint64 expiration)"
     );
 
-    constructor() EIP712("BattleWallet", "1") {
+    constructor() {
+        ownerActionsModule = address(new BattleWalletOwnerActions());
+        potsModule = address(new BattleWalletPots());
         // Prevent the implementation contract from being initialized directly.
         initialized = true;
     }
 
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Events
-    // ─────────────────────────────────────────────────────────────────────────────
-    event Reserved(uint64 indexed gameId, address indexed opponent, uint256 amount, bool isToken);
-    event ReservationCancelled(uint64 indexed gameId);
-    event ReservationSettled(
-        uint64 indexed gameId,
-        address indexed winner,
-        address indexed loser,
-        uint256 amount,
-        bool isToken
-    );
-    event ApprovalRequirementUpdated(bool requireApproval);
-    event TokensWithdrawn(address indexed recipient, uint256 amount);
-    event EthWithdrawn(address indexed recipient, uint256 amount);
-
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert SenderNotAllowed();
-        _;
-    }
-
-    modifier onlyFactory() {
-        if (msg.sender != factory) revert SenderNotAllowed();
-        _;
-    }
-
-    function initialize(address owner_, address tokenAddress_) external {
+    function initialize(address owner_) external {
         if (initialized) revert AlreadyInitialized();
         // also guard against factory already being set and changed
         if (factory != address(0)) revert AlreadyInitialized();
         if (owner_ == address(0)) {
             revert ZeroAddress();
         }
-        // can be null address, in which case ERC-20 not supported
-        if (tokenAddress_ == address(0)) {
-            tokenSet = false;
-        } else {
-            tokenSet = true;
-        }
-        token = IERC20(tokenAddress_);
         owner = owner_;
         factory = msg.sender;
         initialized = true;
         totalReservedEth = 0;
-        totalReservedToken = 0;
         nextNonce = 0;
         firstGameId = 0;
         lastGameId = 0;
+        reservationEpoch = IBattleWalletFactoryMinimal(msg.sender).reservationEpoch();
+        // nothing to migrate in a wallet created with this layout
+        legacyStorageMigrated = true;
     }
 
+    /// @notice Moves state written by the first implementation into the current layout; pass
+    /// it as the call data of the upgrade. It runs once, and reverts with `AlreadyMigrated` on
+    /// later calls and on wallets created with the current layout.
+    /// @dev Walks every stored reservation, so release expired ones first on a long list.
+    function migrateLegacyStorage() external {
+        if (msg.sender != factory && msg.sender != owner) revert SenderNotAllowed();
+        if (legacyStorageMigrated) revert AlreadyMigrated();
+        legacyStorageMigrated = true;
+        address token = legacyToken;
+        uint64 count = 0;
+        uint64 currGameId = firstGameId;
+        while (currGameId != 0) {
+            Reservation storage res = reservations[currGameId];
+            if (res.legacyIsToken) {
+                res.token = token;
+                res.legacyIsToken = false;
+            }
+            if (res.legacyFeeWallet != address(0)) {
+                delete reservationFees[currGameId];
+                if (res.legacyFeeBasisPoints != 0) {
+                    reservationFees[currGameId].push(
+                        FeeSplit({recipient: res.legacyFeeWallet, basisPoints: res.legacyFeeBasisPoints})
+                    );
+                }
+                res.legacyFeeWallet = address(0);
+                res.legacyFeeBasisPoints = 0;
+            }
+            // both sides of a first-implementation reservation staked the same amount
+            opponentStakes[currGameId] = OpponentStake({amount: res.amount, token: res.token});
+            currGameId = res.nextGameId;
+            unchecked {
+                ++count;
+            }
+        }
+        gameCount = count;
+        reservedTokens[reservationEpoch][token] += legacyTotalReservedToken;
+        legacyTotalReservedToken = 0;
+        legacyToken = address(0);
+        legacyTokenSet = false;
+    }
+
+    // settlement payouts and plain transfers arrive here without an event; use deposit to record one
     receive() external payable {}
 
     // ─────────────────────────────────────────────────────────────────────────────
@@ -184,69 +119,124 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
         _reserve(request, expiration);
     }
 
+    /// @notice Locks this wallet's buy-in for a multi-player pot.
+    function reservePot(PotReserveRequest calldata, uint64, bytes calldata) external {
+        _delegate(potsModule);
+    }
+
+    /// @notice Pays this wallet's buy-in into the factory, which distributes the pot.
+    function settlePot(uint64, bytes32, uint256) external returns (address, uint256) {
+        _delegate(potsModule);
+    }
+
+    /// @notice Releases this wallet's buy-in for a pot the approver cancelled.
+    function cancelPot(uint64, bytes32) external {
+        _delegate(potsModule);
+    }
+
     function settleForWinner(SettlementRequest calldata request) external onlyFactory {
         if (request.factory != factory) revert InvalidFactory();
+        _syncReservationEpoch();
         Reservation storage res = reservations[request.gameId];
-        if (!res.exists || !res.active) revert GameNotFound();
-        if (res.isToken) {
-            if (res.amount > totalReservedToken) revert InsufficientReserved();
-            totalReservedToken -= res.amount;
-        } else {
-            if (res.amount > totalReservedEth) revert InsufficientReserved();
-            totalReservedEth -= res.amount;
-        }
-        emit ReservationSettled(request.gameId, request.winner, request.loser, res.amount, res.isToken);
+        if (!_isCurrent(res) || !res.active) revert GameNotFound();
+        _releaseReserved(res.token, res.amount);
+        // the loser's stake changes hands, as in the loser's event
+        OpponentStake memory stake = opponentStakes[request.gameId];
+        // the opponent pays the same stored fees out of its own stake, in its own asset
+        uint256 fee = _totalFee(request.gameId, stake.amount);
+        uint256 winnings = stake.amount - fee;
+        emit ReservationSettled(
+            request.gameId,
+            request.winner,
+            request.loser,
+            stake.amount,
+            stake.token,
+            fee,
+            winnings
+        );
         unchecked {
             ++totalWins;
         }
         res.active = false;
+        res.settled = true;
+        _recordNetLoss(stake.token, -int256(winnings));
     }
 
     function settleForLoser(SettlementRequest calldata request) external onlyFactory {
         if (request.factory != factory) revert InvalidFactory();
+        _syncReservationEpoch();
         Reservation storage res = reservations[request.gameId];
-        if (!res.exists || !res.active) revert GameNotFound();
-        if (!(block.timestamp < res.expiration)) revert ReservationExpired();
-
-        emit ReservationSettled(request.gameId, request.winner, request.loser, res.amount, res.isToken);
+        if (!_isCurrent(res) || !res.active) revert GameNotFound();
+        if (!(block.timestamp < res.expiration)) revert ReservationHasExpired();
+
+        uint256 fee = _totalFee(request.gameId, res.amount);
+        emit ReservationSettled(
+            request.gameId,
+            request.winner,
+            request.loser,
+            res.amount,
+            res.token,
+            fee,
+            res.amount - fee
+        );
         res.active = false;
+        res.settled = true;
         if (res.opponent != request.winner) revert AddressMismatch();
         unchecked {
             ++totalLosses;
         }
-        if (res.isToken) {
-            uint256 tokenBalance = token.balanceOf(address(this));
-            if (res.amount > totalReservedToken) revert InsufficientReserved();
+        _releaseReserved(res.token, res.amount);
+        // the loss was checked against the caps when reserved, so it is only recorded here;
+        // rejecting it would let the loser keep a wager they already lost
+        _recordNetLoss(res.token, int256(res.amount));
+        if (res.token != address(0)) {
+            uint256 tokenBalance = IERC20(res.token).balanceOf(address(this));
             if (res.amount > tokenBalance) revert InsufficientFunds();
-            totalReservedToken -= res.amount;
-            _distributeTokenWinnings(request.winner, res.feeWallet, res.amount, res.feeBasisPoints);
-        } else {
-            if (res.amount > totalReservedEth) revert InsufficientReserved();
-            totalReservedEth -= res.amount;
-            _distributeEthWinnings(request.winner, res.feeWallet, res.amount, res.feeBasisPoints);
+        }
+        uint256 fees = _payFees(request.gameId, res.token, res.amount);
+        _transferAsset(res.token, request.winner, res.amount - fees);
+    }
+
+    /// @notice Releases a reservation that ended in a draw, optionally charging the stored fee.
+    /// @dev Both wallets receive the same instruction from the factory; each pays its own fee.
+    function settleDraw(uint64 gameId, address opponent, bool chargeFee) external onlyFactory {
+        _syncReservationEpoch();
+        Reservation storage res = reservations[gameId];
+        if (!_isCurrent(res) || !res.active) revert GameNotFound();
+        if (!(block.timestamp < res.expiration)) revert ReservationHasExpired();
+        if (res.opponent != opponent) revert AddressMismatch();
+
+        uint256 fee = chargeFee ? _totalFee(gameId, res.amount) : 0;
+        emit ReservationDrawn(gameId, opponent, res.amount, fee, res.token);
+        res.active = false;
+        res.settled = true;
+        unchecked {
+            ++totalDraws;
+        }
+        _releaseReserved(res.token, res.amount);
+        if (fee > 0) {
+            _payFees(gameId, res.token, res.amount);
         }
     }
 
     function releaseExpired(uint64 maxTraversals) external {
         if (msg.sender != factory && msg.sender != owner) revert SenderNotAllowed();
+        _syncReservationEpoch();
         _releaseExpiredInternal(maxTraversals);
     }
 
     function releaseExpiredFullTraverse() external {
         if (msg.sender != factory && msg.sender != owner) revert SenderNotAllowed();
+        _syncReservationEpoch();
         _releaseExpiredInternalFullTraverse();
     }
 
-    function cancel(uint64 gameId) external onlyFactory {
+    function cancel(uint64 gameId, address opponent) external onlyFactory {
+        _syncReservationEpoch();
         Reservation storage res = reservations[gameId];
-        if (!res.exists || !res.active) revert GameNotFound();
-        if (res.isToken) {
-            if (res.amount > totalReservedToken) revert InsufficientReserved();
-            totalReservedToken -= res.amount;
-        } else {
-            if (res.amount > totalReservedEth) revert InsufficientReserved();
-            totalReservedEth -= res.amount;
-        }
+        if (!_isCurrent(res) || !res.active) revert GameNotFound();
+        if (res.opponent != opponent) revert AddressMismatch();
+        _releaseReserved(res.token, res.amount);
         res.active = false;
         emit ReservationCancelled(gameId);
     }
@@ -255,28 +245,90 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
     // Funds management
     // ─────────────────────────────────────────────────────────────────────────────
 
-    function withdraw(uint256 amount) external onlyOwner nonReentrant {
-        // always clear out expired items before determining if user can 
-        // withdraw the amount
-        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
-        if (amount == 0) revert InvalidAmount();
-        if (address(this).balance < totalReservedEth) revert InsufficientFunds();
-        uint256 available = address(this).balance - totalReservedEth;
-        if (amount > available) revert InsufficientFunds();
-        emit EthWithdrawn(owner, amount);
-        Address.sendValue(payable(owner), amount);
+    /// @notice Adds ether to the wallet. Anyone can top up any wallet.
+    function deposit() external payable {
+        if (msg.value == 0) revert InvalidAmount();
+        emit EthDeposited(msg.sender, msg.value);
     }
 
-    function withdrawToken(uint256 amount) external onlyOwner nonReentrant {
-        if (!tokenSet) revert NoTokenWallet();
-        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
-        if (amount == 0) revert InvalidAmount();
-        uint256 tokenBalance = token.balanceOf(address(this));
-        if (tokenBalance < totalReservedToken) revert InsufficientFunds();
-        uint256 available = tokenBalance - totalReservedToken;
-        if (amount > available) revert InsufficientFunds();
-        emit TokensWithdrawn(owner, amount);
-        token.safeTransfer(owner, amount);
+    /// @notice Pulls `amount` of `token` from the caller, who must have approved the wallet.
+    function depositToken(address token, uint256 amount) external nonReentrant {
+        _depositToken(token, amount);
+    }
+
+    /// @notice Deposits `amount` of an EIP-2612 token, approving the wallet with the permit first.
+    /// @dev A permit that was already used, e.g. by a front-runner, is ignored as long as the
+    /// allowance covers the deposit.
+    function depositTokenWithPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _depositToken(token, amount);
+    }
+
+    /// @notice Sends unreserved ether to the owner.
+    function withdraw(uint256) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Sends unreserved ether to a recipient.
+    function withdrawTo(address, uint256) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Sends all unreserved ether to the owner, after sweeping expired reservations.
+    function withdrawAll() external returns (uint256) {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Sends unreserved tokens to the owner.
+    function withdrawToken(address, uint256) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Sends unreserved tokens to a recipient.
+    function withdrawTokenTo(address, address, uint256) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Sends the whole unreserved balance of a token to the owner, after sweeping expired reservations.
+    function withdrawAllTokens(address) external returns (uint256) {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Executes a withdrawal signed by the owner and pays the relayer's fee.
+    function withdrawWithSignature(WithdrawRequest calldata, address, bytes calldata) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Applies a setApprovalRequired signed by the owner and pays the relayer's fee.
+    function setApprovalRequiredWithSignature(SetApprovalRequest calldata, address, bytes calldata) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Starts transferring the wallet to `newOwner`, who must call `acceptOwnership`.
+    /// @dev Passing the zero address cancels a pending transfer.
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+
+    /// @notice Completes a pending ownership transfer and moves the factory's owner index.
+    /// @dev Reservations, the proxy upgrade nonce and the reservation nonce are untouched;
+    /// signatures are verified against the new owner from this point on.
+    function acceptOwnership() external {
+        address newOwner = pendingOwner;
+        if (msg.sender != newOwner) revert SenderNotAllowed();
+        address previousOwner = owner;
+        owner = newOwner;
+        pendingOwner = address(0);
+        emit OwnershipTransferred(previousOwner, newOwner);
+        IBattleWalletFactoryMinimal(factory).updateWalletOwner(previousOwner, newOwner);
     }
 
     function setApprovalRequired(bool value) external onlyOwner {
@@ -284,21 +336,68 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
         emit ApprovalRequirementUpdated(value);
     }
 
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Session keys
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Lets a key sign reservation approvals in place of the owner, within limits.
+    function registerSessionKey(address, uint64, address, uint256, uint256, address, address) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Revokes a session key registered by the current owner.
+    function revokeSessionKey(address) external {
+        _delegate(ownerActionsModule);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Opponent filter
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Chooses whether the opponent list is ignored, an allowlist or a denylist.
+    function setOpponentFilterMode(OpponentFilterMode) external {
+        _delegate(ownerActionsModule);
+    }
+
+    /// @notice Adds or removes opponent wallets or opponent owner addresses from the list.
+    function updateOpponentList(address[] calldata, bool) external {
+        _delegate(ownerActionsModule);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Spending limits
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Sets the owner's spending limits for ether (zero address) or an ERC-20 token.
+    /// @dev Tighter limits apply at once, looser ones after SPENDING_LIMIT_DELAY.
+    function setSpendingLimits(address, SpendingLimits calldata) external {
+        _delegate(ownerActionsModule);
+    }
+
     // ─────────────────────────────────────────────────────────────────────────────
     // View helpers (mirrors get-methods on TON contract)
     // ─────────────────────────────────────────────────────────────────────────────
 
-    function getTotalReserved() external view returns (uint256 ethReserved, uint256 tokenReserved) {
+    /// @notice Reserved balance of `token` as last recorded, before any pending void.
+    function totalReservedTokens(address token) external view returns (uint256) {
+        return reservedTokens[reservationEpoch][token];
+    }
+
+    function getTotalReserved(address token) external view returns (uint256 ethReserved, uint256 tokenReserved) {
         // will include reservations that are expired but not yet removed / cleaned up
-        return (totalReservedEth, totalReservedToken);
+        if (_reservationsVoided()) {
+            return (0, 0);
+        }
+        return (totalReservedEth, reservedTokens[reservationEpoch][token]);
     }
 
-    function calculateTotalReserved() external view returns (uint256 ethReserved, uint256 tokenReserved) {
-        if (firstGameId == 0) {
+    /// @notice Reserved ether and reserved balance of `token`, excluding expired reservations.
+    function calculateTotalReserved(address token) external view returns (uint256 ethReserved, uint256 tokenReserved) {
+        if (firstGameId == 0 || _reservationsVoided()) {
             return (0, 0);
         }
         ethReserved = totalReservedEth;
-        tokenReserved = totalReservedToken;
+        tokenReserved = reservedTokens[reservationEpoch][token];
         uint256 currentTime = block.timestamp;
         uint64 currGameId = firstGameId;
         while (currGameId != 0) {
@@ -309,12 +408,12 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
                 break;
             }
             if (res.active) {
-                if (res.isToken) {
-                    if (res.amount > tokenReserved) revert AmountGreaterThanReserved();
-                    tokenReserved -= res.amount;
-                } else {
+                if (res.token == address(0)) {
                     if (res.amount > ethReserved) revert AmountGreaterThanReserved();
                     ethReserved -= res.amount;
+                } else if (res.token == token) {
+                    if (res.amount > tokenReserved) revert AmountGreaterThanReserved();
+                    tokenReserved -= res.amount;
                 }
             }
             currGameId = res.nextGameId;
@@ -329,48 +428,203 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
     function getReservationDetails(uint64 gameId)
         external
         view
-        returns (uint256 amount, address opponent, uint64 expire, bool isToken, bool found)
+        returns (
+            uint256 amount,
+            address opponent,
+            uint64 expire,
+            address token,
+            bool found,
+            uint256 opponentAmount,
+            address opponentToken
+        )
     {
         Reservation storage res = reservations[gameId];
         // if settled or canceled, return zero/false
-        if (!res.exists || !res.active) {
-            return (0, address(0), 0, false, false);
+        if (!_isCurrent(res) || !res.active) {
+            return (0, address(0), 0, address(0), false, 0, address(0));
         }
-        // if expired, return zero/false
-        if (res.expiration <= block.timestamp) {
-            return (0, address(0), 0, false, false);
+        // if expired or voided by the factory, return zero/false
+        if (res.expiration <= block.timestamp || _reservationsVoided()) {
+            return (0, address(0), 0, address(0), false, 0, address(0));
         }
-        return (res.amount, res.opponent, res.expiration, res.isToken, true);
+        OpponentStake storage stake = opponentStakes[gameId];
+        return (res.amount, res.opponent, res.expiration, res.token, true, stake.amount, stake.token);
+    }
+
+    /// @notice Whether the owner signed `request` on this wallet's domain.
+    /// @dev Used by the factory to settle a game without the approver. The message includes
+    /// the reservation's expiration, so it cannot be replayed once a swept game id is reserved again.
+    function isOwnerSettlementSigned(
+        SettlementRequest calldata request,
+        bytes calldata signature
+    ) external view returns (bool) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                OWNER_SETTLE_TYPEHASH,
+                request.gameId,
+                request.winner,
+                request.loser,
+                request.factory,
+                reservations[request.gameId].expiration
+            )
+        );
+        return _isOwnerSignature(_hashTypedDataV4(structHash), signature);
+    }
+
+    /// @notice Whether the owner signed a `MUTUAL_CANCEL` for `gameId` on this wallet's domain.
+    /// @dev The factory checks the deadline and that both owners signed before cancelling. Like
+    /// a settlement, the message includes the reservation's expiration, so it cannot cancel a
+    /// later game that reuses a swept game id.
+    function isOwnerCancelSigned(
+        uint64 gameId,
+        address walletOne,
+        address walletTwo,
+        uint64 deadline,
+        bytes calldata signature
+    ) external view returns (bool) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                MUTUAL_CANCEL_TYPEHASH,
+                gameId,
+                walletOne,
+                walletTwo,
+                factory,
+                deadline,
+                reservations[gameId].expiration
+            )
+        );
+        return _isOwnerSignature(_hashTypedDataV4(structHash), signature);
+    }
+
+    /// @notice Returns the fee recipients and their shares stored for a reservation.
+    function getReservationFees(uint64 gameId) external view returns (FeeSplit[] memory) {
+        return reservationFees[gameId];
     }
 
     function getAllGames() external view returns (uint64[] memory activeGameIds) {
-        // First count the number of elements, so we can create an array
-        uint64 i = 0;
+        if (_reservationsVoided()) {
+            return new uint64[](0);
+        }
+        // Allocate the array
+        activeGameIds = new uint64[](gameCount);
+
+        // Populate the array
         uint64 currGameId = firstGameId;
+        uint64 i = 0;
         while (currGameId != 0) {
+            activeGameIds[i] = currGameId;
             unchecked {
                 ++i;
             }
             Reservation storage res = reservations[currGameId];
             currGameId = res.nextGameId;  // will be zero at tend
         }
+    }
 
-        // Allocate the array
-        activeGameIds = new uint64[](i);
+    /// @notice Number of entries in the reservation list, including those not yet swept.
+    function getGameCount() external view returns (uint256) {
+        if (_reservationsVoided()) {
+            return 0;
+        }
+        return gameCount;
+    }
 
-        // Populate the array
-        currGameId = firstGameId;
-        i = 0;
-        while (currGameId != 0) {
-            activeGameIds[i] = currGameId;
+    /// @notice Up to `limit` entries of the reservation list in expiration order, starting at
+    /// `cursor` or at the head when it is zero.
+    /// @dev `nextCursor` is the first entry not returned, zero once the list is exhausted. A cursor
+    /// swept since the previous page reverts with `GameNotFound`; restart from zero.
+    function getGames(uint64 cursor, uint256 limit)
+        external
+        view
+        returns (ReservationInfo[] memory games, uint64 nextCursor)
+    {
+        if (_reservationsVoided()) {
+            return (new ReservationInfo[](0), 0);
+        }
+        if (cursor == 0) {
+            cursor = firstGameId;
+        } else if (!_isCurrent(reservations[cursor])) {
+            revert GameNotFound();
+        }
+
+        uint256 count;
+        nextCursor = cursor;
+        while (nextCursor != 0 && count < limit) {
+            nextCursor = reservations[nextCursor].nextGameId;
             unchecked {
-                ++i;
+                ++count;
             }
+        }
+
+        games = new ReservationInfo[](count);
+        uint64 currGameId = cursor;
+        for (uint256 i = 0; i < count; i++) {
             Reservation storage res = reservations[currGameId];
-            currGameId = res.nextGameId;  // will be zero at tend
+            OpponentStake storage stake = opponentStakes[currGameId];
+            games[i] = ReservationInfo({
+                gameId: currGameId,
+                status: _reservationStatus(res),
+                amount: res.amount,
+                token: res.token,
+                opponent: res.opponent,
+                opponentAmount: stake.amount,
+                opponentToken: stake.token,
+                expiration: res.expiration,
+                fees: reservationFees[currGameId]
+            });
+            currGameId = res.nextGameId;
         }
     }
 
+    /// @notice Limits in force for `token`, and any scheduled increase that has not yet applied.
+    function getSpendingLimits(address token)
+        external
+        view
+        returns (SpendingLimits memory active, SpendingLimits memory pending, uint64 pendingEffectiveAt)
+    {
+        active = _activeSpendingLimits(token);
+        PendingSpendingLimits storage scheduled = pendingSpendingLimits[token];
+        if (scheduled.effectiveAt > block.timestamp) {
+            pending = scheduled.limits;
+            pendingEffectiveAt = scheduled.effectiveAt;
+        }
+    }
+
+    /// @notice Amount of `token` reserved and the net loss over the last 24 hours and 7 days.
+    /// @dev Net losses are only tracked while a loss cap is set for the asset; wins count negative.
+    function getSpendingUsage(address token)
+        external
+        view
+        returns (uint256 reserved, int256 dailyNetLoss, int256 weeklyNetLoss)
+    {
+        if (!_reservationsVoided()) {
+            reserved = token == address(0) ? totalReservedEth : reservedTokens[reservationEpoch][token];
+        }
+        NetLossWindow storage window = netLossWindows[token];
+        dailyNetLoss = window.dailyNetLoss;
+        weeklyNetLoss = window.weeklyNetLoss;
+        uint256 length = window.entries.length;
+        for (uint256 i = window.weeklyHead; i < length; i++) {
+            NetLossEntry storage entry = window.entries[i];
+            if (entry.timestamp + 7 days > block.timestamp) break;
+            weeklyNetLoss -= entry.amount;
+        }
+        for (uint256 i = window.dailyHead; i < length; i++) {
+            NetLossEntry storage entry = window.entries[i];
+            if (entry.timestamp + 1 days > block.timestamp) break;
+            dailyNetLoss -= entry.amount;
+        }
+    }
+
+    /// @notice Config and spent amount of a session key registered by the current owner.
+    function getSessionKey(address key) external view returns (SessionKey memory) {
+        return sessionKeys[owner][key];
+    }
+
+    function getOpponentList() external view returns (OpponentFilterMode mode, address[] memory accounts) {
+        return (opponentFilterMode, opponentList.values());
+    }
+
     function getApprovalRequired() external view returns (bool) {
         return requireApproval;
     }
@@ -383,10 +637,22 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
         return (totalWins, totalLosses);
     }
 
+    function getDrawCount() external view returns (uint64) {
+        return totalDraws;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────────
     // Internal helpers
     // ─────────────────────────────────────────────────────────────────────────────
 
+    /// @dev Runs the current call on `module` against the wallet's storage and returns its result.
+    function _delegate(address module) private {
+        bytes memory result = Address.functionDelegateCall(module, msg.data);
+        assembly ("memory-safe") {
+            return(add(result, 0x20), mload(result))
+        }
+    }
+
     function _identifyOpponent(address player1, address player2) private view returns (address opponent, bool isPlayerOne) {
         if (player1 == address(this)) {
             return (player2, true);
@@ -398,119 +664,46 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
     }
 
     function _reserve(ReserveRequest calldata request, uint64 expiration) internal {
-        if (request.amount == 0) revert InvalidAmount();
         if (request.factory != factory) revert InvalidFactory();
-        if (request.feeBasisPoints > 2500) revert InvalidFeeBasisPoints();
-        if (request.feeBasisPoints > 0 && request.feeWallet == address(0)) revert ZeroAddress();
-        if (request.gameId <= 0) revert InvalidGameId();
-
         (address opponent, bool isPlayerOne) = _identifyOpponent(request.player1, request.player2);
-        uint64 providedNonce = isPlayerOne ? request.noncePlayer1 : request.noncePlayer2;
-        if (providedNonce != nextNonce) revert InvalidNonce();
-
-        // not a critical function, since the nonce protects against replay,
-        // but prevents non-settleable reservations from being inserted
-        if (!(expiration > block.timestamp)) revert ExpiredInPast();
-
-        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
-        if (reservations[request.gameId].exists) revert GameExists();
-
-        if (request.isToken) {
-            if (!tokenSet) revert NoTokenWallet();
-            uint256 tokenBalance = token.balanceOf(address(this));
-            if (tokenBalance < totalReservedToken) revert InsufficientFunds();
-            uint256 available = tokenBalance - totalReservedToken;
-            if (request.amount > available) revert InsufficientFunds();
-            totalReservedToken += request.amount;
-        } else {
-            uint256 availableEth = address(this).balance - totalReservedEth;
-            if (request.amount > availableEth) revert InsufficientFunds();
-            totalReservedEth += request.amount;
-        }
-
-        reservations[request.gameId] = Reservation({
-            amount: request.amount,
-            opponent: opponent,
-            isToken: request.isToken,
-            feeWallet: request.feeWallet,
-            feeBasisPoints: request.feeBasisPoints,
-            exists: true,
-            active: true,
-            expiration: expiration,
-            // will be last one in the chain
-            nextGameId: 0
-        });
-        unchecked {
-            ++nextNonce;
-        }
-        if (firstGameId == 0) {
-            // no active games
-            firstGameId = request.gameId;
-            lastGameId = request.gameId;
-        } else {
-            // append to the end and update last game pointer
-            Reservation storage lastRes = reservations[lastGameId];
-            lastRes.nextGameId = request.gameId;
-            lastGameId = request.gameId;
-        }
-        emit Reserved(request.gameId, opponent, request.amount, request.isToken);
+        _checkOpponentAllowed(opponent);
+        (uint256 amount, uint256 opponentAmount) = isPlayerOne
+            ? (request.amountPlayer1, request.amountPlayer2)
+            : (request.amountPlayer2, request.amountPlayer1);
+        (address token, address opponentToken) = isPlayerOne
+            ? (request.tokenPlayer1, request.tokenPlayer2)
+            : (request.tokenPlayer2, request.tokenPlayer1);
+        if (opponentAmount == 0) revert InvalidAmount();
+        _lockReservation(
+            request.gameId,
+            amount,
+            opponentAmount,
+            token,
+            opponentToken,
+            opponent,
+            isPlayerOne ? request.noncePlayer1 : request.noncePlayer2,
+            expiration,
+            request.fees
+        );
     }
 
-    function _releaseExpiredInternal(uint64 maxTraversals) private {
-        uint64 currGameId = firstGameId;
-        if (currGameId == 0) {
-            return;
-        }
-
-        if (maxTraversals == 0) {
-            return;
+    function _reservationStatus(Reservation storage res) private view returns (ReservationStatus) {
+        if (res.active) {
+            return res.expiration <= block.timestamp ? ReservationStatus.Expired : ReservationStatus.Active;
         }
+        return res.settled ? ReservationStatus.Settled : ReservationStatus.Cancelled;
+    }
 
-        uint256 currentTime = block.timestamp;
-        uint256 totalEth = totalReservedEth;
-        uint256 totalToken = totalReservedToken;
-
-        uint64 nextGameId;
-        uint64 traversed;
-        while (currGameId != 0 && traversed < maxTraversals) {
-            Reservation storage res = reservations[currGameId];
-            if (currentTime < res.expiration) {
-                break;
-            }
-
-            if (res.active) {
-                if (res.isToken) {
-                    if (res.amount > totalToken) revert AmountGreaterThanReserved();
-                    totalToken -= res.amount;
-                } else {
-                    if (res.amount > totalEth) revert AmountGreaterThanReserved();
-                    totalEth -= res.amount;
-                }
-            }
-
-            nextGameId = res.nextGameId;
-            if (nextGameId == 0) {
-                lastGameId = 0;
-            }
-
-            delete reservations[currGameId];
-            currGameId = nextGameId;
-            unchecked {
-                ++traversed;
-            }
-        }
+    function _reservationsVoided() private view returns (bool) {
+        return _factoryEpoch() != reservationEpoch;
+    }
 
-        // handle state updates in one pass rather than 
-        // performing within the loop (efficiency)
-        if (firstGameId != currGameId) {
-            firstGameId = currGameId;
-        }
-        if (totalReservedEth != totalEth) {
-            totalReservedEth = totalEth;
-        }
-        if (totalReservedToken != totalToken) {
-            totalReservedToken = totalToken;
+    function _activeSpendingLimits(address token) private view returns (SpendingLimits memory) {
+        PendingSpendingLimits storage scheduled = pendingSpendingLimits[token];
+        if (scheduled.effectiveAt != 0 && scheduled.effectiveAt <= block.timestamp) {
+            return scheduled.limits;
         }
+        return spendingLimits[token];
     }
 
     function _releaseExpiredInternalFullTraverse() private {
@@ -521,9 +714,9 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
 
         uint256 currentTime = block.timestamp;
         uint256 totalEth = totalReservedEth;
-        uint256 totalToken = totalReservedToken;
 
         uint64 prevGameId = 0;
+        uint64 removed = 0;
 
         while (currGameId != 0) {
             Reservation storage res = reservations[currGameId];
@@ -531,13 +724,13 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
 
             if (currentTime >= res.expiration) {
                 if (res.active) {
-                    if (res.isToken) {
-                        if (res.amount > totalToken) revert AmountGreaterThanReserved();
-                        totalToken -= res.amount;
-                    } else {
+                    if (res.token == address(0)) {
                         if (res.amount > totalEth) revert AmountGreaterThanReserved();
                         totalEth -= res.amount;
+                    } else {
+                        _sweepReservedTokens(res.token, res.amount);
                     }
+                    emit ReservationExpired(currGameId, res.amount, res.token);
                 }
 
                 if (prevGameId == 0) {
@@ -551,6 +744,9 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
                 }
 
                 delete reservations[currGameId];
+                unchecked {
+                    ++removed;
+                }
             } else {
                 prevGameId = currGameId;
                 if (nextGameId == 0) {
@@ -564,94 +760,83 @@ contract BattleWallet is ReentrancyGuard, EIP712 {
         if (firstGameId == 0) {
             lastGameId = 0;
         }
+        if (removed != 0) {
+            gameCount -= removed;
+        }
         if (totalReservedEth != totalEth) {
             totalReservedEth = totalEth;
         }
-        if (totalReservedToken != totalToken) {
-            totalReservedToken = totalToken;
-        }
     }
 
-    function _verifyReserveApprovalSignature(ReserveRequest calldata request, bytes calldata signature) private view {
+    function _depositToken(address token, uint256 amount) private {
+        if (token == address(0)) revert InvalidToken();
+        if (amount == 0) revert InvalidAmount();
+        emit TokensDeposited(token, msg.sender, amount);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    function _verifyReserveApprovalSignature(ReserveRequest calldata request, bytes calldata signature) private {
         bytes32 structHash = keccak256(
             abi.encode(
                 RESERVE_TYPEHASH,
                 request.gameId,
-                request.amount,
+                request.amountPlayer1,
+                request.amountPlayer2,
                 request.player1,
                 request.player2,
-                request.isToken,
+                request.tokenPlayer1,
+                request.tokenPlayer2,
+                request.ttl,
                 request.noncePlayer1,
                 request.noncePlayer2,
-                request.feeWallet,
-                request.feeBasisPoints,
+                _hashFees(request.fees),
                 request.factory
             )
         );
-        bytes32 digest = _hashTypedDataV4(structHash);
-        if (ECDSA.recover(digest, signature) != owner) {
-            revert BadSignature();
+        (address opponent, bool isPlayerOne) = _identifyOpponent(request.player1, request.player2);
+        address sessionKey = _recoverApprovalSigner(_hashTypedDataV4(structHash), signature);
+        if (sessionKey != address(0)) {
+            // the key's limits apply to this wallet's own stake and asset
+            (uint256 amount, address token) = isPlayerOne
+                ? (request.amountPlayer1, request.tokenPlayer1)
+                : (request.amountPlayer2, request.tokenPlayer2);
+            _useSessionKey(sessionKey, request.gameId, amount, token, opponent, request.fees);
+        }
+    }
+
+    /// @dev Each recipient's share is rounded down on its own, so the total is the sum of the shares.
+    function _totalFee(uint64 gameId, uint256 amount) private view returns (uint256 total) {
+        FeeSplit[] storage fees = reservationFees[gameId];
+        for (uint256 i = 0; i < fees.length; i++) {
+            total += (amount * fees[i].basisPoints) / 10_000;
+        }
+    }
+
+    /// @dev Fees are credited to the recipients' balances in the factory rather than pushed
+    /// to them, so a recipient that rejects transfers cannot block a settlement.
+    function _payFees(uint64 gameId, address token, uint256 amount) private returns (uint256 total) {
+        FeeSplit[] storage fees = reservationFees[gameId];
+        address[] memory recipients = new address[](fees.length);
+        uint256[] memory amounts = new uint256[](fees.length);
+        for (uint256 i = 0; i < fees.length; i++) {
+            uint256 fee = (amount * fees[i].basisPoints) / 10_000;
+            recipients[i] = fees[i].recipient;
+            amounts[i] = fee;
+            total += fee;
+            if (fee > 0) {
+                emit FeePaid(gameId, fees[i].recipient, fee, token);
+            }
         }
-    }
-
-    function _distributeEthWinnings(
-        address winner,
-        address feeWallet,
-        uint256 amount,
-        uint16 feeBasisPoints
-    ) private {
-        uint256 fee = (amount * feeBasisPoints) / 10_000;
-        uint256 payout;
-        payout = amount - fee;
-        Address.sendValue(payable(winner), payout);
-        if (fee > 0) {
-            Address.sendValue(payable(feeWallet), fee);
+        if (total == 0) {
+            return 0;
         }
-    }
-
-    function _distributeTokenWinnings(
-        address winner,
-        address feeWallet,
-        uint256 amount,
-        uint16 feeBasisPoints
-    ) private {
-        uint256 fee = (amount * feeBasisPoints) / 10_000;
-        uint256 payout;
-        payout = amount - fee;
-
-        token.safeTransfer(winner, payout);
-        if (fee > 0 && feeWallet != address(0)) {
-            token.safeTransfer(feeWallet, fee);
+        IBattleWalletFactoryMinimal walletFactory = IBattleWalletFactoryMinimal(factory);
+        if (token != address(0)) {
+            IERC20(token).safeTransfer(factory, total);
+            walletFactory.accrueFees(gameId, token, recipients, amounts);
+        } else {
+            walletFactory.accrueFees{value: total}(gameId, token, recipients, amounts);
         }
     }
-}
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Minimal IERC20 + SafeERC20 implementations (MIT licensed)
-// ─────────────────────────────────────────────────────────────────────────────
-
-interface IERC20 {
-    function transfer(address to, uint256 value) external returns (bool);
-
-    function transferFrom(address from, address to, uint256 value) external returns (bool);
-
-    function balanceOf(address account) external view returns (uint256);
-}
-
-library SafeERC20 {
-    function safeTransfer(IERC20 token, address to, uint256 value) internal {
-        _callOptionalReturn(token, abi.encodeWithSelector(token.transfer.selector, to, value));
-    }
-
-    function safeTransferFrom(IERC20 token, address from, address to, uint256 value) internal {
-        _callOptionalReturn(token, abi.encodeWithSelector(token.transferFrom.selector, from, to, value));
-    }
-
-    function _callOptionalReturn(IERC20 token, bytes memory data) private {
-        (bool success, bytes memory returndata) = address(token).call(data);
-        require(success, "SafeERC20: call failed");
-        if (returndata.length > 0) {
-            require(abi.decode(returndata, (bool)), "SafeERC20: operation did not succeed");
-        }
-    }
 }
@@ -0,0 +1,820 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+interface IBattleWalletFactoryMinimal {
+    function updateWalletOwner(address previousOwner, address newOwner) external;
+    function reservationEpoch() external view returns (uint64);
+    function maxFeeBasisPoints() external view returns (uint16);
+    function allowedFeeRecipients(address recipient) external view returns (bool);
+    function accrueFees(
+        uint64 gameId,
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external payable;
+}
+
+/**
+ * @title BattleWalletBase
+ * @notice Storage, types, events and shared helpers of BattleWallet.
+ * @dev The wallet implementation would not fit the 24,576-byte contract size limit in one
+ *      contract, so it deploys module contracts in its constructor and forwards some of its
+ *      functions to them with `delegatecall`. Module code then runs on the wallet proxy's storage
+ *      and the public interface stays on the wallet. The wallet and every module inherit this
+ *      contract, so they share one storage layout; new state goes here, never into the wallet
+ *      or a module.
+ */
+abstract contract BattleWalletBase is ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Errors
+    // ─────────────────────────────────────────────────────────────────────────────
+    error InvalidFeeBasisPoints();
+    error AmountGreaterThanReserved();
+    error InvalidAmount();
+    error ExpiredInPast();
+    error GameExists();
+    error BadSignature();
+    error InsufficientFunds();
+    error SenderNotAllowed();
+    error GameNotFound();
+    error UnexpectedStatus();
+    error InsufficientReserved();
+    error ReservationHasExpired();
+    error AddressMismatch();
+    error ApprovalRequired();
+    error InvalidToken();
+    error AlreadyInitialized();
+    error ZeroAddress();
+    error InvalidFactory();
+    error InvalidNonce();
+    error InvalidGameId();
+    error SpendingLimitExceeded();
+    error OpponentNotAllowed();
+    error SessionKeyNotAllowed();
+    error TooManyFeeRecipients();
+    error FeeRecipientNotAllowed();
+    error SignatureExpired();
+    error NotPotReservation();
+    error AlreadyMigrated();
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Types
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    // how the owner's opponent list is applied in reserve
+    enum OpponentFilterMode {
+        None,
+        AllowList,
+        DenyList
+    }
+
+    // share of the wager paid to one fee recipient on settlement
+    struct FeeSplit {
+        address recipient;
+        uint16 basisPoints;
+    }
+
+    // wallets upgrade in place behind BattleWalletProxy, so fields are only added where the
+    // existing ones keep their offsets; the legacy fields are written by the first
+    // implementation and cleared by migrateLegacyStorage
+    struct Reservation {
+        uint256 amount;
+        address opponent;
+        // legacy: set when the reservation was in the wallet's single configured token
+        bool legacyIsToken;
+        // wallet epoch the reservation was made in; entries of an earlier epoch were voided.
+        // Fits in the bytes left free after legacyIsToken
+        uint64 epoch;
+        // legacy: single fee recipient, now kept in reservationFees
+        address legacyFeeWallet;
+        uint16 legacyFeeBasisPoints;
+        // flag for whether the record exists
+        bool exists;
+        // whether the reservation is still active (funds reserved)
+        bool active;
+        uint64 expiration;
+        uint64 nextGameId;
+        // zero address for ether reservations
+        address token;
+        // whether it ended in a settlement or draw rather than a cancellation
+        bool settled;
+    }
+
+    // where a reservation stands, as reported by getGames
+    enum ReservationStatus {
+        Active,
+        Expired,
+        Settled,
+        Cancelled
+    }
+
+    // one entry of the reservation list, as returned by getGames
+    struct ReservationInfo {
+        uint64 gameId;
+        ReservationStatus status;
+        uint256 amount;
+        // zero address for ether
+        address token;
+        // zero for pots
+        address opponent;
+        uint256 opponentAmount;
+        address opponentToken;
+        uint64 expiration;
+        FeeSplit[] fees;
+    }
+
+    // the other side of a two-player reservation, which this wallet wins; zero for pots
+    struct OpponentStake {
+        uint256 amount;
+        // zero address for ether
+        address token;
+    }
+
+    // owner-imposed limits for one asset, zero means unlimited
+    struct SpendingLimits {
+        uint256 maxWager;
+        uint256 maxReserved;
+        uint256 maxDailyLoss;
+        uint256 maxWeeklyLoss;
+    }
+
+    struct PendingSpendingLimits {
+        SpendingLimits limits;
+        uint64 effectiveAt;
+    }
+
+    // delegate key allowed to sign reservation approvals for the owner
+    struct SessionKey {
+        uint64 expiresAt;
+        // zero address for ether
+        address token;
+        uint256 maxAmountPerGame;
+        // zero for no budget
+        uint256 totalBudget;
+        // zero address for any opponent wallet
+        address opponent;
+        // zero address for any fee recipients, otherwise the only allowed recipient
+        address feeWallet;
+        // total amount of approved reservations, kept when there is no budget
+        uint256 spent;
+    }
+
+    // positive for a loss, negative for a win
+    struct NetLossEntry {
+        uint64 timestamp;
+        int192 amount;
+    }
+
+    // settled results still inside the rolling windows; entries before
+    // weeklyHead have left both windows and are deleted
+    struct NetLossWindow {
+        NetLossEntry[] entries;
+        uint256 dailyHead;
+        uint256 weeklyHead;
+        int256 dailyNetLoss;
+        int256 weeklyNetLoss;
+    }
+
+    struct ReserveRequest {
+        uint64 gameId;
+        // each player's own stake, which may differ for handicapped matches
+        uint256 amountPlayer1;
+        uint256 amountPlayer2;
+        address player1;
+        address player2;
+        // each player's own asset, zero address for ether, otherwise an ERC-20
+        // allowlisted by the factory; the sides may stake different assets
+        address tokenPlayer1;
+        address tokenPlayer2;
+        // seconds until expiration, zero for the factory default
+        uint64 ttl;
+        uint64 noncePlayer1;
+        uint64 noncePlayer2;
+        // at most MAX_FEE_RECIPIENTS, each allowlisted by the factory and
+        // together within the factory's maxFeeBasisPoints
+        FeeSplit[] fees;
+        address factory;
+    }
+
+    // buy-in locked by every player of a multi-player game under one game id
+    struct PotReserveRequest {
+        uint64 gameId;
+        uint256 buyIn;
+        // at most the factory's MAX_POT_PLAYERS wallets, each appearing once
+        address[] players;
+        // nonces[i] is the expected nextNonce of players[i]
+        uint64[] nonces;
+        // zero address for ether, otherwise an ERC-20 allowlisted by the factory
+        address token;
+        // seconds until expiration, zero for the factory default
+        uint64 ttl;
+        // charged once on the whole pot when it is settled
+        FeeSplit[] fees;
+        address factory;
+    }
+
+    // owner-signed withdrawal that any relayer can submit through the factory
+    struct WithdrawRequest {
+        // zero address for ether
+        address token;
+        address recipient;
+        uint256 amount;
+        // paid to the relayer out of the unreserved balance, zero address for ether
+        address feeToken;
+        uint256 relayerFee;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // owner-signed setApprovalRequired that any relayer can submit through the factory
+    struct SetApprovalRequest {
+        bool requireApproval;
+        address feeToken;
+        uint256 relayerFee;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct SettlementRequest {
+        uint64 gameId;
+        address winner;
+        address loser;
+        address factory;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Storage
+    // ─────────────────────────────────────────────────────────────────────────────
+    // the layout of the first implementation is kept slot for slot and new state is only
+    // appended, so wallets deployed with it can be upgraded in place
+    address public owner;
+    address public factory;
+
+    // legacy: the single token of the first implementation and whether it was set
+    address internal legacyToken;
+    bool internal legacyTokenSet;
+
+    bool public requireApproval;
+    bool public initialized;
+
+    uint64 public nextNonce;
+
+    uint256 public totalReservedEth;
+    // legacy: reserved amount of legacyToken, now kept in reservedTokens
+    uint256 internal legacyTotalReservedToken;
+
+    uint64 public totalWins;
+    uint64 public totalLosses;
+
+    uint64 internal constant DEFAULT_RELEASE_TRAVERSAL_LIMIT = 50;
+
+    // reservations is a linked list ordered by expiration; new entries are
+    // inserted at their expiration position, so the head always expires first
+    mapping(uint64 => Reservation) internal reservations;
+    uint64 internal firstGameId;
+    uint64 internal lastGameId;
+
+    uint64 public totalDraws;
+
+    address public pendingOwner;
+
+    // last factory epoch seen; a newer factory epoch voids every reservation
+    uint64 public reservationEpoch;
+
+    // per asset, keyed by token with the zero address for ether
+    mapping(address => SpendingLimits) internal spendingLimits;
+    mapping(address => PendingSpendingLimits) internal pendingSpendingLimits;
+    mapping(address => NetLossWindow) internal netLossWindows;
+
+    // opponent wallets or opponent owner addresses, read according to opponentFilterMode
+    OpponentFilterMode public opponentFilterMode;
+    EnumerableSet.AddressSet internal opponentList;
+
+    // owner => session key => config; keys of a previous owner stop working on transfer
+    mapping(address => mapping(address => SessionKey)) internal sessionKeys;
+
+    // fee recipients of each reservation, paid in order on settlement
+    mapping(uint64 => FeeSplit[]) internal reservationFees;
+
+    // next nonce for owner-signed actions, separate from the reservation nonce
+    uint256 public ownerActionNonce;
+
+    // hash of the player list of each pot reservation; pots are stored with no opponent
+    mapping(uint64 => bytes32) internal potPlayers;
+
+    // kept outside Reservation so sweeping expired entries does not clear extra slots;
+    // overwritten whenever a game id is reserved again
+    mapping(uint64 => OpponentStake) internal opponentStakes;
+
+    // reserved token amounts per wallet epoch, so voiding every reservation is a single write
+    mapping(uint64 => mapping(address => uint256)) internal reservedTokens;
+
+    // set by initialize or migrateLegacyStorage; a wallet of the first implementation starts without it
+    bool internal legacyStorageMigrated;
+
+    // entries in the reservation list, so the views need not walk it to size their results
+    uint64 internal gameCount;
+
+    // loosening a spending limit only takes effect after this delay
+    uint64 public constant SPENDING_LIMIT_DELAY = 1 days;
+
+    uint256 public constant MAX_FEE_RECIPIENTS = 5;
+
+    bytes32 internal constant FEE_SPLIT_TYPEHASH = keccak256("FeeSplit(address recipient,uint16 basisPoints)");
+
+    constructor() EIP712("BattleWallet", "1") {}
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Events
+    // ─────────────────────────────────────────────────────────────────────────────
+    event Reserved(
+        uint64 indexed gameId,
+        address indexed opponent,
+        uint256 amount,
+        uint256 opponentAmount,
+        address token,
+        address opponentToken,
+        uint64 expiration,
+        FeeSplit[] fees
+    );
+    event ReservationCancelled(uint64 indexed gameId);
+    event ReservationsVoided(uint64 indexed epoch);
+    event ReservationExpired(uint64 indexed gameId, uint256 amount, address token);
+    /// @dev `amount` is the loser's stake; `fee` comes out of it and `payout` is what the winner receives.
+    event ReservationSettled(
+        uint64 indexed gameId,
+        address indexed winner,
+        address indexed loser,
+        uint256 amount,
+        address token,
+        uint256 fee,
+        uint256 payout
+    );
+    event ReservationDrawn(
+        uint64 indexed gameId,
+        address indexed opponent,
+        uint256 amount,
+        uint256 fee,
+        address token
+    );
+    event PotSettled(uint64 indexed gameId, uint256 buyIn, uint256 payout, address token);
+    event ApprovalRequirementUpdated(bool requireApproval);
+    event TokensWithdrawn(address indexed token, address indexed recipient, uint256 amount);
+    event EthWithdrawn(address indexed recipient, uint256 amount);
+    event EthDeposited(address indexed from, uint256 amount);
+    event TokensDeposited(address indexed token, address indexed from, uint256 amount);
+    event OwnerActionRelayed(uint256 indexed nonce, address indexed relayer, address feeToken, uint256 relayerFee);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event OpponentFilterModeUpdated(OpponentFilterMode mode);
+    event OpponentListUpdated(address indexed account, bool listed);
+    event SessionKeyRegistered(
+        address indexed key,
+        uint64 expiresAt,
+        address token,
+        uint256 maxAmountPerGame,
+        uint256 totalBudget,
+        address opponent,
+        address feeWallet
+    );
+    event SessionKeyRevoked(address indexed key);
+    event SessionKeyUsed(address indexed key, uint64 indexed gameId, uint256 amount);
+    event SpendingLimitsUpdated(address indexed token, SpendingLimits limits);
+    event SpendingLimitsIncreaseScheduled(address indexed token, SpendingLimits limits, uint64 effectiveAt);
+    event FeePaid(uint64 indexed gameId, address indexed recipient, uint256 amount, address token);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert SenderNotAllowed();
+        _;
+    }
+
+    modifier onlyFactory() {
+        if (msg.sender != factory) revert SenderNotAllowed();
+        _;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Internal helpers
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @dev Drops every reservation once the factory has voided them, so an emergency pause
+    /// unlocks funds without a signature per game.
+    /// @dev Voiding only moves the wallet to the factory's epoch and clears the list head and
+    /// the ether total; the old entries stay in storage but no longer count as existing, and the
+    /// token totals are keyed by epoch, so the cost does not grow with the open reservations.
+    function _syncReservationEpoch() internal {
+        uint64 factoryEpoch = _factoryEpoch();
+        if (factoryEpoch == reservationEpoch) {
+            return;
+        }
+        reservationEpoch = factoryEpoch;
+        firstGameId = 0;
+        lastGameId = 0;
+        gameCount = 0;
+        totalReservedEth = 0;
+        emit ReservationsVoided(factoryEpoch);
+    }
+
+    function _isCurrent(Reservation storage res) internal view returns (bool) {
+        return res.exists && res.epoch == reservationEpoch;
+    }
+
+    // a wallet upgraded in place may still belong to a factory from before reservation epochs,
+    // which never voids its reservations
+    function _factoryEpoch() internal view returns (uint64) {
+        try IBattleWalletFactoryMinimal(factory).reservationEpoch() returns (uint64 epoch) {
+            return epoch;
+        } catch {
+            return reservationEpoch;
+        }
+    }
+
+    /// @dev Applies a scheduled limit increase once its delay has passed.
+    function _syncSpendingLimits(address token) internal returns (SpendingLimits memory limits) {
+        PendingSpendingLimits storage scheduled = pendingSpendingLimits[token];
+        if (scheduled.effectiveAt != 0 && scheduled.effectiveAt <= block.timestamp) {
+            limits = scheduled.limits;
+            spendingLimits[token] = limits;
+            delete pendingSpendingLimits[token];
+            emit SpendingLimitsUpdated(token, limits);
+            return limits;
+        }
+        return spendingLimits[token];
+    }
+
+    function _releaseExpiredInternal(uint64 maxTraversals) internal {
+        uint64 currGameId = firstGameId;
+        if (currGameId == 0) {
+            return;
+        }
+
+        if (maxTraversals == 0) {
+            return;
+        }
+
+        uint256 currentTime = block.timestamp;
+        uint256 totalEth = totalReservedEth;
+
+        uint64 nextGameId;
+        uint64 traversed;
+        while (currGameId != 0 && traversed < maxTraversals) {
+            Reservation storage res = reservations[currGameId];
+            if (currentTime < res.expiration) {
+                break;
+            }
+
+            if (res.active) {
+                if (res.token == address(0)) {
+                    if (res.amount > totalEth) revert AmountGreaterThanReserved();
+                    totalEth -= res.amount;
+                } else {
+                    _sweepReservedTokens(res.token, res.amount);
+                }
+                emit ReservationExpired(currGameId, res.amount, res.token);
+            }
+
+            nextGameId = res.nextGameId;
+            if (nextGameId == 0) {
+                lastGameId = 0;
+            }
+
+            delete reservations[currGameId];
+            currGameId = nextGameId;
+            unchecked {
+                ++traversed;
+            }
+        }
+
+        // handle state updates in one pass rather than 
+        // performing within the loop (efficiency)
+        if (firstGameId != currGameId) {
+            firstGameId = currGameId;
+            gameCount -= traversed;
+        }
+        if (totalReservedEth != totalEth) {
+            totalReservedEth = totalEth;
+        }
+    }
+
+    /// @dev Token totals are tracked per token, so they are updated in place during sweeps
+    /// rather than cached like the ether total.
+    function _sweepReservedTokens(address token, uint256 amount) internal {
+        uint256 reserved = reservedTokens[reservationEpoch][token];
+        if (amount > reserved) revert AmountGreaterThanReserved();
+        reservedTokens[reservationEpoch][token] = reserved - amount;
+    }
+
+    function _isOwnerSignature(bytes32 digest, bytes calldata signature) internal view returns (bool) {
+        address walletOwner = owner;
+        if (walletOwner.code.length != 0) {
+            return SignatureChecker.isValidERC1271SignatureNow(walletOwner, digest, signature);
+        }
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        return error == ECDSA.RecoverError.NoError && signer == walletOwner;
+    }
+
+    /// @dev Checked for every reservation, whether or not owner approval is required.
+    function _checkOpponentAllowed(address opponent) internal view {
+        OpponentFilterMode mode = opponentFilterMode;
+        if (mode == OpponentFilterMode.None) {
+            return;
+        }
+        // the factory only relays between its own wallets, so the opponent exposes owner()
+        bool listed = opponentList.contains(opponent) || opponentList.contains(BattleWalletBase(opponent).owner());
+        if (listed != (mode == OpponentFilterMode.AllowList)) revert OpponentNotAllowed();
+    }
+
+    /// @dev Shared by two-player and pot reservations; pots pass the zero address as opponent.
+    function _lockReservation(
+        uint64 gameId,
+        uint256 amount,
+        uint256 opponentAmount,
+        address token,
+        address opponentToken,
+        address opponent,
+        uint64 providedNonce,
+        uint64 expiration,
+        FeeSplit[] calldata fees
+    ) internal {
+        if (amount == 0) revert InvalidAmount();
+        if (gameId <= 0) revert InvalidGameId();
+        _storeFees(gameId, fees);
+        if (providedNonce != nextNonce) revert InvalidNonce();
+
+        // not a critical function, since the nonce protects against replay,
+        // but prevents non-settleable reservations from being inserted
+        if (!(expiration > block.timestamp)) revert ExpiredInPast();
+
+        _syncReservationEpoch();
+        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+        if (_isCurrent(reservations[gameId])) revert GameExists();
+
+        if (token != address(0)) {
+            uint256 tokenBalance = IERC20(token).balanceOf(address(this));
+            uint256 reserved = reservedTokens[reservationEpoch][token];
+            if (tokenBalance < reserved) revert InsufficientFunds();
+            uint256 available = tokenBalance - reserved;
+            if (amount > available) revert InsufficientFunds();
+            _checkSpendingLimits(token, amount, reserved);
+            reservedTokens[reservationEpoch][token] = reserved + amount;
+        } else {
+            uint256 availableEth = address(this).balance - totalReservedEth;
+            if (amount > availableEth) revert InsufficientFunds();
+            _checkSpendingLimits(address(0), amount, totalReservedEth);
+            totalReservedEth += amount;
+        }
+
+        reservations[gameId] = Reservation({
+            amount: amount,
+            opponent: opponent,
+            legacyIsToken: false,
+            epoch: reservationEpoch,
+            legacyFeeWallet: address(0),
+            legacyFeeBasisPoints: 0,
+            exists: true,
+            active: true,
+            expiration: expiration,
+            // linked in by _insertReservation
+            nextGameId: 0,
+            token: token,
+            settled: false
+        });
+        opponentStakes[gameId] = OpponentStake({amount: opponentAmount, token: opponentToken});
+        unchecked {
+            ++nextNonce;
+        }
+        _insertReservation(gameId, expiration);
+        emit Reserved(gameId, opponent, amount, opponentAmount, token, opponentToken, expiration, fees);
+    }
+
+    /// @dev Links a reservation into the list after every entry expiring at or before
+    /// `expiration`. Games sharing the default TTL arrive in order and are appended
+    /// without a traversal; shorter TTLs walk from the head to their position.
+    function _insertReservation(uint64 gameId, uint64 expiration) internal {
+        ++gameCount;
+        if (firstGameId == 0) {
+            // no active games
+            firstGameId = gameId;
+            lastGameId = gameId;
+            return;
+        }
+
+        if (reservations[lastGameId].expiration <= expiration) {
+            // append to the end and update last game pointer
+            reservations[lastGameId].nextGameId = gameId;
+            lastGameId = gameId;
+            return;
+        }
+
+        uint64 currGameId = firstGameId;
+        if (reservations[currGameId].expiration > expiration) {
+            // expires before everything else, becomes the new head
+            reservations[gameId].nextGameId = currGameId;
+            firstGameId = gameId;
+            return;
+        }
+
+        // the tail expires later, so the walk always stops before the end
+        uint64 nextGameId = reservations[currGameId].nextGameId;
+        while (reservations[nextGameId].expiration <= expiration) {
+            currGameId = nextGameId;
+            nextGameId = reservations[currGameId].nextGameId;
+        }
+        reservations[gameId].nextGameId = nextGameId;
+        reservations[currGameId].nextGameId = gameId;
+    }
+
+    function _checkSpendingLimits(address token, uint256 amount, uint256 reserved) internal {
+        SpendingLimits memory limits = _syncSpendingLimits(token);
+        if (limits.maxWager != 0 && amount > limits.maxWager) revert SpendingLimitExceeded();
+        if (limits.maxReserved != 0 && reserved + amount > limits.maxReserved) revert SpendingLimitExceeded();
+        if (limits.maxDailyLoss == 0 && limits.maxWeeklyLoss == 0) {
+            return;
+        }
+
+        // every open wager could still be lost, so count it against the caps
+        NetLossWindow storage window = _rollNetLossWindow(token);
+        int256 exposure = int256(reserved + amount);
+        if (limits.maxDailyLoss != 0 && window.dailyNetLoss + exposure > int256(limits.maxDailyLoss)) {
+            revert SpendingLimitExceeded();
+        }
+        if (limits.maxWeeklyLoss != 0 && window.weeklyNetLoss + exposure > int256(limits.maxWeeklyLoss)) {
+            revert SpendingLimitExceeded();
+        }
+    }
+
+    /// @dev Never reverts on the caps: the loss was counted as exposure when the wager was reserved,
+    /// which is the only place they are enforced. A cap tightened since then can therefore end up
+    /// exceeded, and it blocks new reservations until the window rolls past the loss.
+    function _recordNetLoss(address token, int256 amount) internal {
+        SpendingLimits memory limits = _syncSpendingLimits(token);
+        if (limits.maxDailyLoss == 0 && limits.maxWeeklyLoss == 0) {
+            return;
+        }
+        NetLossWindow storage window = _rollNetLossWindow(token);
+        window.entries.push(NetLossEntry({timestamp: uint64(block.timestamp), amount: SafeCast.toInt192(amount)}));
+        window.dailyNetLoss += amount;
+        window.weeklyNetLoss += amount;
+    }
+
+    /// @dev Drops results that have left the 24 hour and 7 day windows from the running sums.
+    function _rollNetLossWindow(address token) internal returns (NetLossWindow storage window) {
+        window = netLossWindows[token];
+        uint256 length = window.entries.length;
+
+        // the daily pass runs first: the weekly pass deletes the entries it passes, which may
+        // still be waiting to leave the daily window after a long idle gap
+        uint256 head = window.dailyHead;
+        int256 netLoss = window.dailyNetLoss;
+        while (head < length && window.entries[head].timestamp + 1 days <= block.timestamp) {
+            netLoss -= window.entries[head].amount;
+            unchecked {
+                ++head;
+            }
+        }
+        window.dailyHead = head;
+        window.dailyNetLoss = netLoss;
+
+        head = window.weeklyHead;
+        netLoss = window.weeklyNetLoss;
+        while (head < length && window.entries[head].timestamp + 7 days <= block.timestamp) {
+            netLoss -= window.entries[head].amount;
+            delete window.entries[head];
+            unchecked {
+                ++head;
+            }
+        }
+        window.weeklyHead = head;
+        window.weeklyNetLoss = netLoss;
+    }
+
+    function _releaseReserved(address token, uint256 amount) internal {
+        if (token == address(0)) {
+            if (amount > totalReservedEth) revert InsufficientReserved();
+            totalReservedEth -= amount;
+        } else {
+            uint256 reserved = reservedTokens[reservationEpoch][token];
+            if (amount > reserved) revert InsufficientReserved();
+            reservedTokens[reservationEpoch][token] = reserved - amount;
+        }
+    }
+
+    /// @dev Returns the zero address when the owner approved, otherwise the signer, which
+    /// must then be a session key.
+    function _recoverApprovalSigner(bytes32 digest, bytes calldata signature) internal view returns (address) {
+        address walletOwner = owner;
+        // owners with code, such as a Safe, are checked through ERC-1271
+        if (walletOwner.code.length != 0 && SignatureChecker.isValidERC1271SignatureNow(walletOwner, digest, signature)) {
+            return address(0);
+        }
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        if (error != ECDSA.RecoverError.NoError) revert BadSignature();
+        return signer == walletOwner ? address(0) : signer;
+    }
+
+    /// @dev Accepts an approval from a session key that covers this reservation and
+    /// charges the amount to its budget. Budgets are not refunded on cancel or win.
+    function _useSessionKey(
+        address key,
+        uint64 gameId,
+        uint256 amount,
+        address token,
+        address opponent,
+        FeeSplit[] calldata fees
+    ) internal {
+        SessionKey storage session = sessionKeys[owner][key];
+        if (session.expiresAt == 0) revert BadSignature();
+        if (!(block.timestamp < session.expiresAt)) revert SessionKeyNotAllowed();
+        if (session.token != token) revert SessionKeyNotAllowed();
+        if (amount > session.maxAmountPerGame) revert SessionKeyNotAllowed();
+        if (session.feeWallet != address(0)) {
+            for (uint256 i = 0; i < fees.length; i++) {
+                if (fees[i].recipient != session.feeWallet) revert SessionKeyNotAllowed();
+            }
+        }
+        if (session.opponent != address(0) && session.opponent != opponent) revert SessionKeyNotAllowed();
+
+        uint256 spent = session.spent + amount;
+        if (session.totalBudget != 0 && spent > session.totalBudget) revert SessionKeyNotAllowed();
+        session.spent = spent;
+        emit SessionKeyUsed(key, gameId, amount);
+    }
+
+    /// @dev Checks the fees against the factory's cap and recipient allowlist, and replaces
+    /// any fees left behind by a deleted reservation with the same game id.
+    function _storeFees(uint64 gameId, FeeSplit[] calldata fees) internal {
+        if (fees.length > MAX_FEE_RECIPIENTS) revert TooManyFeeRecipients();
+        delete reservationFees[gameId];
+        if (fees.length == 0) {
+            return;
+        }
+        IBattleWalletFactoryMinimal walletFactory = IBattleWalletFactoryMinimal(factory);
+        uint256 maxFeeBasisPoints = walletFactory.maxFeeBasisPoints();
+        uint256 feeBasisPoints = 0;
+        for (uint256 i = 0; i < fees.length; i++) {
+            if (fees[i].recipient == address(0)) revert ZeroAddress();
+            if (fees[i].basisPoints == 0) revert InvalidFeeBasisPoints();
+            if (!walletFactory.allowedFeeRecipients(fees[i].recipient)) revert FeeRecipientNotAllowed();
+            feeBasisPoints += fees[i].basisPoints;
+            if (feeBasisPoints > maxFeeBasisPoints) revert InvalidFeeBasisPoints();
+            reservationFees[gameId].push(fees[i]);
+        }
+    }
+
+    function _hashFees(FeeSplit[] calldata fees) internal pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](fees.length);
+        for (uint256 i = 0; i < fees.length; i++) {
+            hashes[i] = keccak256(abi.encode(FEE_SPLIT_TYPEHASH, fees[i].recipient, fees[i].basisPoints));
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+
+    function _transferAsset(address token, address to, uint256 amount) internal {
+        if (token != address(0)) {
+            IERC20(token).safeTransfer(to, amount);
+        } else {
+            Address.sendValue(payable(to), amount);
+        }
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Minimal IERC20 + SafeERC20 implementations (MIT licensed)
+// ─────────────────────────────────────────────────────────────────────────────
+
+interface IERC20 {
+    function transfer(address to, uint256 value) external returns (bool);
+
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+
+    function balanceOf(address account) external view returns (uint256);
+}
+
+library SafeERC20 {
+    function safeTransfer(IERC20 token, address to, uint256 value) internal {
+        _callOptionalReturn(token, abi.encodeWithSelector(token.transfer.selector, to, value));
+    }
+
+    function safeTransferFrom(IERC20 token, address from, address to, uint256 value) internal {
+        _callOptionalReturn(token, abi.encodeWithSelector(token.transferFrom.selector, from, to, value));
+    }
+
+    function _callOptionalReturn(IERC20 token, bytes memory data) private {
+        (bool success, bytes memory returndata) = address(token).call(data);
+        require(success, "SafeERC20: call failed");
+        if (returndata.length > 0) {
+            require(abi.decode(returndata, (bool)), "SafeERC20: operation did not succeed");
+        }
+    }
+}
@@ -1,101 +1,87 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
-import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {Create2} from "@openzeppelin/contracts/utils/Create2.sol";
-import {Ownable, Ownable2Step} from "@openzeppelin/contracts/access/Ownable2Step.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
 
 import {BattleWallet} from "./BattleWallet.sol";
 import {BattleWalletProxy} from "./BattleWalletProxy.sol";
+import {BattleWalletFactoryBase} from "./BattleWalletFactoryBase.sol";
+import {BattleWalletFactoryExtension} from "./BattleWalletFactoryExtension.sol";
+import {BattleWalletFactoryPots} from "./BattleWalletFactoryPots.sol";
 
 /// @title BattleWalletFactory
 /// @notice Deploys BattleWallet proxies using ERC-1967 upgradeable proxies and manages shared configuration.
-contract BattleWalletFactory is ReentrancyGuard, EIP712, Ownable2Step {
-
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Errors
-    // ─────────────────────────────────────────────────────────────────────────────
-    error ZeroAddress();
-    error Unauthorized();
-    error InvalidWallet();
-    error InvalidSignature();
-    error InvalidReservationTtl();
-
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Events
-    // ─────────────────────────────────────────────────────────────────────────────
-    event BattleWalletDeployed(address indexed owner, address indexed proxy, address implementation);
-    event WalletImplementationUpgraded(address indexed newImplementation);
-    event BattleWalletUpgraded(address indexed proxy, address indexed newImplementation);
-    event ApproverUpdated(address indexed newApprover);
-    event ReservationTtlUpdated(uint64 newTtl);
-
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Storage
-    // ─────────────────────────────────────────────────────────────────────────────
-    address public walletImplementation;
-    address public approver;
-    address public immutable token;
-    uint64 public reservationTtl;
-
-    mapping(address => bool) private deployedWallets;
-
-    bytes32 private constant RESERVE_TYPEHASH = keccak256(
-        "RESERVE(uint64 gameId,uint256 amount,address player1,address player2,bool isToken,uint64 noncePlayer1,uint64 noncePlayer2,address feeWallet,uint16 feeBasisPoints,address factory)"
-    );
-    bytes32 private constant SETTLE_TYPEHASH = keccak256(
-        "SETTLE(uint64 gameId,address winner,address loser,address factory,uint64 expiresAt)"
-    );
-    bytes32 private constant CANCEL_TYPEHASH = keccak256(
-        "CANCEL(uint64 gameId,address walletOne,address walletTwo,address factory,uint64 expiresAt)"
-    );
+contract BattleWalletFactory is BattleWalletFactoryBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // module contracts for the functions forwarded with _delegate, see BattleWalletFactoryBase
+    address private immutable extensionModule;
+    address private immutable potsModule;
+
     bytes32 private constant RELEASE_EXPIRED_TYPEHASH = keccak256(
-        "RELEASE_EXPIRED(address wallet,address factory,bool fullTraverse,uint64 maxTraversals,uint64 expiresAt)"
+        "RELEASE_EXPIRED(address wallet,address factory,bool fullTraverse,uint64 maxTraversals,uint64 expiresAt,uint64 epoch)"
     );
 
-    // ─────────────────────────────────────────────────────────────────────────────
-    // Modifiers
-    // ─────────────────────────────────────────────────────────────────────────────
-    modifier onlyApprover() {
-        if (msg.sender != approver) revert Unauthorized();
-        _;
-    }
-
     constructor(
         address implementation_,
         address owner_,
         address approver_,
         address token_
-    ) EIP712("BattleWalletFactory", "1") Ownable(owner_) {
-        // token_ can be zero address, in which case ERC-20 not supported
+    ) Ownable(owner_) {
+        // token_ can be zero address, in which case only ether wagers are allowed
+        // until the owner allowlists a token
         if (implementation_ == address(0) || owner_ == address(0) || approver_ == address(0)) {
             revert ZeroAddress();
         }
+        extensionModule = address(new BattleWalletFactoryExtension());
+        potsModule = address(new BattleWalletFactoryPots());
         walletImplementation = implementation_;
-        approver = approver_;
-        token = token_;
+        approvers.add(approver_);
+        approvalThreshold = 1;
+        emit ApproverAdded(approver_);
+        emit ApprovalThresholdUpdated(1);
+        approverRotationGrace = 3600;
+        emit ApproverRotationGraceUpdated(3600);
+        feeCap = 2500;
+        emit FeeCapUpdated(2500);
         reservationTtl = 3600;
         emit ReservationTtlUpdated(reservationTtl);
+        minReservationTtl = MIN_RESERVATION_TTL;
+        maxReservationTtl = MAX_RESERVATION_TTL;
+        emit ReservationTtlBoundsUpdated(MIN_RESERVATION_TTL, MAX_RESERVATION_TTL);
+        if (token_ != address(0)) {
+            allowedTokens[token_] = true;
+            emit WagerTokenUpdated(token_, true);
+        }
     }
 
     /// @notice Deploys a new BattleWallet proxy for the provided owner. Note that double
-    /// deployments for the same owner will revert.
+    /// deployments for the same owner, or for an owner that received a wallet through
+    /// an ownership transfer, will revert.
+    /// @dev Only the owner itself or the factory owner may deploy, since a wallet nobody asked
+    /// for would stop its owner from accepting another wallet through an ownership transfer.
     /// @param walletOwner The externally owned account that will control the wallet instance.
     /// @return proxy The deployed BattleWallet proxy address.
     function deployBattleWallet(address walletOwner) external returns (address proxy) {
+        if (msg.sender != walletOwner && msg.sender != owner()) revert Unauthorized();
         if (walletOwner == address(0)) revert ZeroAddress();
+        if (walletOf[walletOwner] != address(0)) revert OwnerHasWallet();
         // no nonce, we want deployments with the same owner to revert
         bytes32 salt = _deriveSalt(walletOwner);
         proxy = address(new BattleWalletProxy{salt: salt}(walletImplementation, address(this), ""));
         BattleWallet battleWallet = BattleWallet(payable(proxy));
-        battleWallet.initialize(walletOwner, token);
+        battleWallet.initialize(walletOwner);
         deployedWallets[proxy] = true;
+        walletOf[walletOwner] = proxy;
         emit BattleWalletDeployed(walletOwner, proxy, walletImplementation);
     }
 
     /// @notice Predicts the address where a BattleWallet proxy will be deployed for the provided owner.
+    /// @dev The address is derived from the original owner; use `walletOf` to find a wallet after
+    /// its ownership has been transferred.
     /// @param walletOwner The externally owned account that will control the wallet instance.
     /// @return predictedProxy The deterministic address for the proxy deployment.
     function predictBattleWalletAddress(address walletOwner) external view returns (address predictedProxy) {
@@ -109,6 +95,19 @@ contract BattleWalletFactory is ReentrancyGuard, EIP712, Ownable2Step {
         predictedProxy = Create2.computeAddress(salt, keccak256(creation), address(this));
     }
 
+    /// @notice Moves the owner index when a deployed wallet completes an ownership transfer.
+    /// @dev Only callable by the wallet itself from `acceptOwnership`.
+    function updateWalletOwner(address previousOwner, address newOwner) external {
+        _verifyWallet(msg.sender);
+        if (newOwner == address(0)) revert ZeroAddress();
+        if (walletOf[newOwner] != address(0)) revert OwnerHasWallet();
+        if (walletOf[previousOwner] == msg.sender) {
+            delete walletOf[previousOwner];
+        }
+        walletOf[newOwner] = msg.sender;
+        emit BattleWalletOwnerUpdated(msg.sender, previousOwner, newOwner);
+    }
+
     /// @notice Updates the implementation used for future BattleWallet deployments.
     /// @param newImplementation The address of the new BattleWallet implementation contract.
     function upgradeWalletImplementation(address newImplementation) external onlyOwner {
@@ -134,81 +133,181 @@ contract BattleWalletFactory is ReentrancyGuard, EIP712, Ownable2Step {
         emit BattleWalletUpgraded(walletAddress, newImplementation);
     }
 
-    /// @notice Updates the aprover address used for newly deployed wallets.
-    function setApprover(address newApprover) external onlyOwner {
-        if (newApprover == address(0)) revert ZeroAddress();
-        approver = newApprover;
-        emit ApproverUpdated(newApprover);
+    /// @notice Replaces the approver set with a single approver and resets the threshold to one.
+    function setApprover(address) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Swaps one approver for another. A planned rotation keeps accepting the old key for
+    /// `approverRotationGrace` seconds; an emergency one drops it and voids every earlier signature.
+    function rotateApprover(address, address, bool) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Sets how long a planned rotation keeps accepting the old approver's signatures.
+    function setApproverRotationGrace(uint64) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Adds an account whose signatures count towards the approval threshold.
+    function addApprover(address) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Removes an approver; the set may not shrink below the global threshold.
+    function removeApprover(address) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Sets how many approvers must sign every relayed message.
+    function setApprovalThreshold(uint16) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Replaces the amount tiers for wagers in one token (zero address for ether).
+    function setApprovalTiers(address, ApprovalTier[] calldata) external {
+        _delegate(extensionModule);
+    }
+
+    function getApprovers() external view returns (address[] memory) {
+        return approvers.values();
+    }
+
+    function getApprovalTiers(address wagerToken) external view returns (ApprovalTier[] memory) {
+        return approvalTiers[wagerToken];
+    }
+
+    /// @notice Returns the approver a rotated-out key signs for and when it stops being accepted.
+    function getRetiredApprover(address account) external view returns (address replacement, uint64 validUntil) {
+        RetiredApprover memory retired = retiredApprovers[account];
+        return (retired.replacement, retired.validUntil);
+    }
+
+    /// @notice Sets the account allowed to pause the factory alongside the owner.
+    /// @dev The zero address removes the guardian.
+    function setGuardian(address newGuardian) external onlyOwner {
+        guardian = newGuardian;
+        emit GuardianUpdated(newGuardian);
     }
 
-    /// @notice Updates the reservation TTL used for new reservations.
+    /// @notice Stops new reservations and settlements, e.g. after an approver key leak.
+    /// Cancellation, releasing expired reservations and owner withdrawals keep working.
+    /// @dev The owner can call it again while paused to void reservations. The guardian can only
+    /// void in the call that pauses, so it cannot void again until the owner unpauses.
+    /// @param voidReservations Also drops every outstanding reservation so funds unlock at once.
+    function pause(bool voidReservations) external {
+        if (msg.sender != guardian && msg.sender != owner()) revert Unauthorized();
+        if (voidReservations) {
+            if (paused() && msg.sender != owner()) revert Unauthorized();
+            uint64 epoch = reservationEpoch + 1;
+            reservationEpoch = epoch;
+            emit ReservationsVoided(epoch);
+        }
+        if (!paused()) {
+            _pause();
+        }
+    }
+
+    /// @notice Resumes new reservations and settlements.
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @notice Updates the reservation TTL used for new reservations that do not sign their own.
     function setReservationTtl(uint64 newTtl) external onlyOwner {
-        if (newTtl < 30 || newTtl > 864000) revert InvalidReservationTtl();
+        if (newTtl < MIN_RESERVATION_TTL || newTtl > MAX_RESERVATION_TTL) revert InvalidReservationTtl();
         reservationTtl = newTtl;
         emit ReservationTtlUpdated(newTtl);
     }
 
-    /// @notice Relays a reserve call to both participating BattleWallet contracts.
-    /// @dev Calls revert entirely if any of the underlying wallet calls fail.
-    function relayReserve(
-        BattleWallet.ReserveRequest calldata reserveRequest,
-        bytes calldata reserveSignature,
-        // player approval for every wager is optional
-        // if player odes not require approval, then '0x' can be supplied
-        // and signature will not be checked
-        bytes calldata playerOneApproval,
-        bytes calldata playerTwoApproval
-    ) external {
-        _verifyReserveSignature(reserveRequest, reserveSignature);
-        if (reserveRequest.factory != address(this)) revert InvalidSignature();
-        BattleWallet walletOne = _verifyWallet(reserveRequest.player1);
-        BattleWallet walletTwo = _verifyWallet(reserveRequest.player2);
+    /// @notice Updates the range accepted for a per-game TTL in reserve requests.
+    function setReservationTtlBounds(uint64 minTtl, uint64 maxTtl) external onlyOwner {
+        if (minTtl < MIN_RESERVATION_TTL || maxTtl > MAX_RESERVATION_TTL || minTtl > maxTtl) {
+            revert InvalidReservationTtl();
+        }
+        minReservationTtl = minTtl;
+        maxReservationTtl = maxTtl;
+        emit ReservationTtlBoundsUpdated(minTtl, maxTtl);
+    }
+
+    /// @notice Adds or removes an ERC-20 token from the set that reservations may lock.
+    /// @dev Removing a token only blocks new reservations; existing ones settle normally.
+    function setWagerToken(address wagerToken, bool allowed) external onlyOwner {
+        if (wagerToken == address(0)) revert ZeroAddress();
+        allowedTokens[wagerToken] = allowed;
+        emit WagerTokenUpdated(wagerToken, allowed);
+    }
+
+    /// @notice Sets the largest combined fee share, in basis points, wallets accept on reserve.
+    function setMaxFeeBasisPoints(uint16) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Adds or removes an account that reservation fees may be paid to.
+    function setFeeRecipient(address, bool) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Credits fees paid by a wallet on settlement to their recipients.
+    function accrueFees(uint64, address, address[] calldata, uint256[] calldata) external payable {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Accepts the ether buy-ins wallets pay in when a pot is settled.
+    receive() external payable {
+        if (!deployedWallets[msg.sender]) revert InvalidWallet();
+    }
 
-        // ttl is applied uniformly by the factory. it's more useful that this is
-        // sequential, since allows efficient trimming of reservations. and no 
-        // exploits are possible by manipulating the timestamp. for this reason we
-        // prefer adding uniformly here, rather than having the caller supply an 
-        // expiration timestamp and potentially use inconsistent TTLs. Reservation
-        // cleanup is more consistent with a consistent TTL.
-        uint64 ttl = reservationTtl;
-        if (ttl == 0) revert InvalidReservationTtl();
-        uint64 expiration = uint64(block.timestamp + ttl);
+    /// @notice Pays the caller's accrued fees in the given tokens (zero address for ether).
+    function claimFees(address[] calldata, address) external {
+        _delegate(extensionModule);
+    }
 
-        walletOne.reserve(reserveRequest, expiration, playerOneApproval);
-        walletTwo.reserve(reserveRequest, expiration, playerTwoApproval);
+    /// @notice The fee cap in force, including a scheduled increase whose delay has passed.
+    function maxFeeBasisPoints() public view returns (uint16) {
+        if (pendingFeeCap.effectiveAt != 0 && pendingFeeCap.effectiveAt <= block.timestamp) {
+            return pendingFeeCap.maxFeeBasisPoints;
+        }
+        return feeCap;
+    }
+
+    /// @notice Returns the fee cap in force and any scheduled increase with the time it applies.
+    function getFeeCap() external view returns (uint16 active, uint16 pending, uint64 pendingEffectiveAt) {
+        active = maxFeeBasisPoints();
+        if (pendingFeeCap.effectiveAt > block.timestamp) {
+            pending = pendingFeeCap.maxFeeBasisPoints;
+            pendingEffectiveAt = pendingFeeCap.effectiveAt;
+        }
+    }
+
+    /// @notice Relays a reserve call to both participating BattleWallet contracts.
+    function relayReserve(BattleWallet.ReserveRequest calldata, bytes calldata, bytes calldata, bytes calldata) external {
+        _delegate(extensionModule);
     }
 
     /// @notice Relays a settle call to both participating BattleWallet contracts.
-    /// @dev Calls revert entirely if any of the underlying wallet calls fail.
-    function relaySettle(
-        BattleWallet.SettlementRequest calldata settlementRequest,
-        uint64 expiresAt,
-        bytes calldata settlementSignature
-    ) external nonReentrant {
-        _verifySettlementSignature(settlementRequest, expiresAt, settlementSignature);
-        if (settlementRequest.factory != address(this)) revert InvalidSignature();
-        BattleWallet winnerWallet = _verifyWallet(settlementRequest.winner);
-        BattleWallet loserWallet = _verifyWallet(settlementRequest.loser);
+    function relaySettle(BattleWallet.SettlementRequest calldata, uint64, bytes calldata) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Settles a game from the players' own signatures instead of the approver's.
+    function relayMutualSettle(BattleWallet.SettlementRequest calldata, bytes calldata, bytes calldata) external {
+        _delegate(extensionModule);
+    }
 
-        loserWallet.settleForLoser(settlementRequest);
-        winnerWallet.settleForWinner(settlementRequest);
+    /// @notice Relays a draw to both participating BattleWallet contracts.
+    function relaySettleDraw(address, address, uint64, bool, uint64, bytes calldata) external {
+        _delegate(extensionModule);
     }
 
     /// @notice Relays a cancel call to both participating BattleWallet contracts.
-    /// @dev Cancels the reservation on each wallet after verifying the shared signature.
-    function relayCancel(
-        address walletOne,
-        address walletTwo,
-        uint64 gameId,
-        uint64 expiresAt,
-        bytes calldata cancelSignature
-    ) external {
-        _verifyCancelSignature(walletOne, walletTwo, gameId, expiresAt, cancelSignature);
-        BattleWallet firstWallet = _verifyWallet(walletOne);
-        BattleWallet secondWallet = _verifyWallet(walletTwo);
+    function relayCancel(address, address, uint64, uint64, bytes calldata) external {
+        _delegate(extensionModule);
+    }
 
-        firstWallet.cancel(gameId);
-        secondWallet.cancel(gameId);
+    /// @notice Cancels a game both wallet owners agreed to abort, without the approver.
+    function relayMutualCancel(address, address, uint64, uint64, bytes calldata, bytes calldata) external {
+        _delegate(extensionModule);
     }
 
     /// @notice Relays a releaseExpired call to a BattleWallet contract.
@@ -229,67 +328,82 @@ contract BattleWalletFactory is ReentrancyGuard, EIP712, Ownable2Step {
         }
     }
 
-    /// @dev Generates the deterministic salt used for deployments.
-    function _deriveSalt(address walletOwner) private pure returns (bytes32) {
-        return keccak256(abi.encodePacked(walletOwner));
+    /// @notice Relays a withdrawal signed by the wallet owner; any account may submit it.
+    /// @dev The wallet checks the owner's signature, nonce and deadline, and pays the signed
+    /// relayer fee to the caller. Not affected by pause, like owner withdrawals.
+    function relayWithdraw(
+        address walletAddress,
+        BattleWallet.WithdrawRequest calldata request,
+        bytes calldata ownerSignature
+    ) external nonReentrant {
+        _verifyWallet(walletAddress).withdrawWithSignature(request, msg.sender, ownerSignature);
     }
 
-    function _verifyReserveSignature(BattleWallet.ReserveRequest calldata request, bytes calldata signature) private view {
-        bytes32 structHash = keccak256(
-            abi.encode(
-                RESERVE_TYPEHASH,
-                request.gameId,
-                request.amount,
-                request.player1,
-                request.player2,
-                request.isToken,
-                request.noncePlayer1,
-                request.noncePlayer2,
-                request.feeWallet,
-                request.feeBasisPoints,
-                request.factory
-            )
-        );
-        bytes32 digest = _hashTypedDataV4(structHash);
-        address signer = ECDSA.recover(digest, signature);
-        if (signer != approver) revert InvalidSignature();
+    /// @notice Relays an owner-signed change to the wallet's reservation approval requirement.
+    function relaySetApprovalRequired(
+        address walletAddress,
+        BattleWallet.SetApprovalRequest calldata request,
+        bytes calldata ownerSignature
+    ) external nonReentrant {
+        _verifyWallet(walletAddress).setApprovalRequiredWithSignature(request, msg.sender, ownerSignature);
     }
 
-    function _verifySettlementSignature(
-        BattleWallet.SettlementRequest calldata request,
-        uint64 expiresAt,
-        bytes calldata signature
-    ) private view {
-        if (block.timestamp > expiresAt) revert InvalidSignature();
-        bytes32 structHash = keccak256(
-            abi.encode(
-                SETTLE_TYPEHASH,
-                request.gameId,
-                request.winner,
-                request.loser,
-                request.factory,
-                expiresAt
-            )
-        );
-        bytes32 digest = _hashTypedDataV4(structHash);
-        address signer = ECDSA.recover(digest, signature);
-        if (signer != approver) revert InvalidSignature();
+    /// @notice Locks the same buy-in on every wallet of a multi-player pot under one game id.
+    function relayReservePot(BattleWallet.PotReserveRequest calldata, bytes calldata, bytes[] calldata) external {
+        _delegate(potsModule);
     }
 
-    function _verifyCancelSignature(
-        address walletOne,
-        address walletTwo,
-        uint64 gameId,
-        uint64 expiresAt,
-        bytes calldata signature
-    ) private view {
-        if (block.timestamp > expiresAt) revert InvalidSignature();
-        bytes32 structHash = keccak256(
-            abi.encode(CANCEL_TYPEHASH, gameId, walletOne, walletTwo, address(this), expiresAt)
-        );
-        bytes32 digest = _hashTypedDataV4(structHash);
-        address signer = ECDSA.recover(digest, signature);
-        if (signer != approver) revert InvalidSignature();
+    /// @notice Settles a pot with an approver-signed payout table.
+    function relaySettlePot(uint64, address[] calldata, uint16[] calldata, uint64, bytes calldata) external {
+        _delegate(potsModule);
+    }
+
+    /// @notice Releases the buy-in of every wallet in a pot.
+    function relayCancelPot(uint64, address[] calldata, uint64, bytes calldata) external {
+        _delegate(potsModule);
+    }
+
+    /// @notice Relays a batch of reservations approved by a single signature over a Merkle root.
+    function relayReserveBatch(ReserveBatchItem[] calldata, bytes32, uint64, bytes calldata, bool) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Relays a batch of settlements approved by a single signature over a Merkle root.
+    function relaySettleBatch(SettleBatchItem[] calldata, bytes32, uint64, bytes calldata, bool) external {
+        _delegate(extensionModule);
+    }
+
+    /// @notice Relays a batch of cancellations approved by a single signature over a Merkle root.
+    function relayCancelBatch(CancelBatchItem[] calldata, bytes32, uint64, bytes calldata, bool) external {
+        _delegate(extensionModule);
+    }
+
+    /// @dev Self-call target for skip-on-failure reserve batches.
+    function relayReserveBatchItem(ReserveBatchItem calldata) external {
+        _delegate(extensionModule);
+    }
+
+    /// @dev Self-call target for skip-on-failure settle batches.
+    function relaySettleBatchItem(BattleWallet.SettlementRequest calldata) external {
+        _delegate(extensionModule);
+    }
+
+    /// @dev Self-call target for skip-on-failure cancel batches.
+    function relayCancelBatchItem(address, address, uint64) external {
+        _delegate(extensionModule);
+    }
+
+    /// @dev Runs the current call on `module` against the factory's storage and returns its result.
+    function _delegate(address module) private {
+        bytes memory result = Address.functionDelegateCall(module, msg.data);
+        assembly ("memory-safe") {
+            return(add(result, 0x20), mload(result))
+        }
+    }
+
+    /// @dev Generates the deterministic salt used for deployments.
+    function _deriveSalt(address walletOwner) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(walletOwner));
     }
 
     function _verifyReleaseSignature(
@@ -301,18 +415,16 @@ contract BattleWalletFactory is ReentrancyGuard, EIP712, Ownable2Step {
     ) private view {
         if (block.timestamp > expiresAt) revert InvalidSignature();
         bytes32 structHash = keccak256(
-            abi.encode(RELEASE_EXPIRED_TYPEHASH, walletAddress, address(this), fullTraverse, maxTraversals, expiresAt)
+            abi.encode(
+                RELEASE_EXPIRED_TYPEHASH,
+                walletAddress,
+                address(this),
+                fullTraverse,
+                maxTraversals,
+                expiresAt,
+                signatureEpoch
+            )
         );
-        bytes32 digest = _hashTypedDataV4(structHash);
-        address signer = ECDSA.recover(digest, signature);
-        if (signer != approver) revert InvalidSignature();
-    }
-
-    function _verifyWallet(address wallet) private view returns (BattleWallet battleWallet) {
-        if (wallet == address(0)) revert ZeroAddress();
-        if (!deployedWallets[wallet]) {
-            revert InvalidWallet();
-        }
-        battleWallet = BattleWallet(payable(wallet));        
+        _verifyApproverSignature(structHash, signature, approvalThreshold);
     }
 }
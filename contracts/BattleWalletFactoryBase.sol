@@ -0,0 +1,262 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {Ownable2Step} from "@openzeppelin/contracts/access/Ownable2Step.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+import {BattleWallet} from "./BattleWallet.sol";
+
+/// @title BattleWalletFactoryBase
+/// @notice Storage, types, events and shared helpers of BattleWalletFactory.
+/// @dev The factory would not fit the 24,576-byte contract size limit in one contract, so it
+/// deploys module contracts in its constructor and forwards some of its functions to them with
+/// `delegatecall`. Module code then runs on the factory's storage and the public interface stays
+/// on the factory. The factory and every module inherit this contract, so they share one storage
+/// layout; new state goes here, never into the factory or a module.
+abstract contract BattleWalletFactoryBase is ReentrancyGuard, Pausable, EIP712, Ownable2Step {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Errors
+    // ─────────────────────────────────────────────────────────────────────────────
+    error ZeroAddress();
+    error Unauthorized();
+    error InvalidWallet();
+    error InvalidSignature();
+    error InvalidReservationTtl();
+    error TokenNotAllowed();
+    error OwnerHasWallet();
+    error InvalidProof();
+    error InvalidApprover();
+    error InvalidThreshold();
+    error DuplicateSigner();
+    error InsufficientApprovals(uint256 provided, uint256 required);
+    error InvalidRotationGrace();
+    error InvalidFeeCap();
+    error InvalidFeeAccrual();
+    error InvalidPotSize();
+    error InvalidPayouts();
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Events
+    // ─────────────────────────────────────────────────────────────────────────────
+    event BattleWalletDeployed(address indexed owner, address indexed proxy, address implementation);
+    event WalletImplementationUpgraded(address indexed newImplementation);
+    event BattleWalletUpgraded(address indexed proxy, address indexed newImplementation);
+    event BattleWalletOwnerUpdated(address indexed proxy, address indexed previousOwner, address indexed newOwner);
+    event ApproverUpdated(address indexed newApprover);
+    event ApproverAdded(address indexed approver);
+    event ApproverRemoved(address indexed approver);
+    event ApprovalThresholdUpdated(uint16 threshold);
+    event ApprovalTiersUpdated(address indexed token, ApprovalTier[] tiers);
+    event ApproverRotated(
+        address indexed oldApprover,
+        address indexed newApprover,
+        uint64 oldApproverValidUntil,
+        bool emergency
+    );
+    event ApproverRotationGraceUpdated(uint64 grace);
+    event SignatureEpochUpdated(uint64 epoch);
+    event FeeCapUpdated(uint16 maxFeeBasisPoints);
+    event FeeCapIncreaseScheduled(uint16 maxFeeBasisPoints, uint64 effectiveAt);
+    event FeeRecipientUpdated(address indexed recipient, bool allowed);
+    event FeesAccrued(uint64 indexed gameId, address indexed recipient, address indexed token, uint256 amount);
+    event FeesClaimed(address indexed recipient, address indexed token, address to, uint256 amount);
+    event GuardianUpdated(address indexed newGuardian);
+    event ReservationsVoided(uint64 epoch);
+    event ReservationTtlUpdated(uint64 newTtl);
+    event ReservationTtlBoundsUpdated(uint64 minTtl, uint64 maxTtl);
+    event WagerTokenUpdated(address indexed token, bool allowed);
+    event BatchItemProcessed(bytes32 indexed root, uint256 index, uint64 indexed gameId, bool success);
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Types
+    // ─────────────────────────────────────────────────────────────────────────────
+    // wagers of at least minAmount need threshold approver signatures
+    struct ApprovalTier {
+        uint256 minAmount;
+        uint16 threshold;
+    }
+
+    // an approver replaced by a planned rotation signs on behalf of its replacement until validUntil
+    struct RetiredApprover {
+        address replacement;
+        uint64 validUntil;
+    }
+
+    struct PendingFeeCap {
+        uint16 maxFeeBasisPoints;
+        uint64 effectiveAt;
+    }
+
+    // Batch items carry a Merkle proof against the root signed by the approver.
+    // Leaves are the EIP-712 struct hashes of the single-call messages, so any
+    // subset of a signed batch can be submitted.
+    struct ReserveBatchItem {
+        BattleWallet.ReserveRequest request;
+        bytes playerOneApproval;
+        bytes playerTwoApproval;
+        bytes32[] proof;
+    }
+
+    struct SettleBatchItem {
+        BattleWallet.SettlementRequest request;
+        bytes32[] proof;
+    }
+
+    struct CancelBatchItem {
+        address walletOne;
+        address walletTwo;
+        uint64 gameId;
+        bytes32[] proof;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Storage
+    // ─────────────────────────────────────────────────────────────────────────────
+    address public walletImplementation;
+    // accounts whose signatures count towards the approval threshold
+    EnumerableSet.AddressSet internal approvers;
+    uint16 public approvalThreshold;
+    uint64 public reservationTtl;
+    // bounds for a per-game ttl signed into the reserve request
+    uint64 public minReservationTtl;
+    uint64 public maxReservationTtl;
+
+    mapping(address => bool) internal deployedWallets;
+    // current owner => wallet, kept in sync when a wallet changes hands
+    mapping(address => address) public walletOf;
+    // ERC-20 tokens that reservations may lock, in addition to ether
+    mapping(address => bool) public allowedTokens;
+    // may pause new wagers and settlements alongside the owner
+    address public guardian;
+    // bumped to void every outstanding reservation; wallets sync on their next call
+    uint64 public reservationEpoch;
+    // per wager token (zero address for ether), ordered by ascending minAmount
+    mapping(address => ApprovalTier[]) internal approvalTiers;
+    // how long a planned rotation keeps accepting the old approver's signatures
+    uint64 public approverRotationGrace;
+    // signed into every typed message; bumped by an emergency rotation to void older signatures
+    uint64 public signatureEpoch;
+    mapping(address => RetiredApprover) internal retiredApprovers;
+    // combined fee share wallets accept; raising it waits FEE_CAP_DELAY in pendingFeeCap
+    uint16 internal feeCap;
+    PendingFeeCap internal pendingFeeCap;
+    // accounts that reservation fee splits may pay
+    mapping(address => bool) public allowedFeeRecipients;
+    // fee ledger: recipient => asset (zero address for ether) => claimable amount
+    mapping(address => mapping(address => uint256)) public accruedFees;
+    // per asset, the sum of every recipient's claimable amount held by the factory
+    mapping(address => uint256) public totalAccruedFees;
+    // wager tokens that have amount tiers, so removing an approver can check every tier
+    EnumerableSet.AddressSet internal tieredTokens;
+
+    uint64 internal constant MIN_RESERVATION_TTL = 30;
+    uint64 internal constant MAX_RESERVATION_TTL = 864000;
+    uint64 internal constant MAX_APPROVER_ROTATION_GRACE = 7 days;
+    uint16 internal constant MAX_FEE_CAP = 10_000;
+    // raising the fee cap only takes effect after this delay
+    uint64 public constant FEE_CAP_DELAY = 2 days;
+    uint256 public constant MIN_POT_PLAYERS = 3;
+    uint256 public constant MAX_POT_PLAYERS = 64;
+
+    bytes32 internal constant FEE_SPLIT_TYPEHASH = keccak256("FeeSplit(address recipient,uint16 basisPoints)");
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Modifiers
+    // ─────────────────────────────────────────────────────────────────────────────
+    modifier onlyApprover() {
+        if (!approvers.contains(msg.sender)) revert Unauthorized();
+        _;
+    }
+
+    // entry points used by skip-on-failure batches so each item reverts on its own
+    modifier onlySelf() {
+        if (msg.sender != address(this)) revert Unauthorized();
+        _;
+    }
+
+    constructor() EIP712("BattleWalletFactory", "1") {}
+
+    /// @notice Number of approver signatures a reservation of `amount` in `wagerToken` needs.
+    function getRequiredApprovals(address wagerToken, uint256 amount) public view returns (uint256 required) {
+        required = approvalThreshold;
+        ApprovalTier[] storage tiers = approvalTiers[wagerToken];
+        for (uint256 i = 0; i < tiers.length && amount >= tiers[i].minAmount; i++) {
+            if (tiers[i].threshold > required) {
+                required = tiers[i].threshold;
+            }
+        }
+    }
+
+    function _reservationExpiration(uint64 ttl) internal view returns (uint64) {
+        // the expiration is derived here from the block timestamp rather than
+        // supplied by the caller, so no exploits are possible by manipulating it.
+        // the approver may sign a per-game ttl within the configured bounds;
+        // otherwise the default ttl applies. wallets insert each reservation at
+        // its expiration position, so mixed ttls still release in order.
+        if (ttl == 0) {
+            ttl = reservationTtl;
+            if (ttl == 0) revert InvalidReservationTtl();
+        } else if (ttl < minReservationTtl || ttl > maxReservationTtl) {
+            revert InvalidReservationTtl();
+        }
+        return uint64(block.timestamp + ttl);
+    }
+
+    function _checkWagerToken(address wagerToken) internal view {
+        if (wagerToken != address(0) && !allowedTokens[wagerToken]) revert TokenNotAllowed();
+    }
+
+    function _hashFees(BattleWallet.FeeSplit[] calldata fees) internal pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](fees.length);
+        for (uint256 i = 0; i < fees.length; i++) {
+            hashes[i] = keccak256(abi.encode(FEE_SPLIT_TYPEHASH, fees[i].recipient, fees[i].basisPoints));
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+
+    /// @dev Maps a signer to the approver it signs for. Keys retired by a planned rotation
+    /// stand in for their replacement, so signing with both counts as a duplicate.
+    function _resolveApprover(address signer) internal view returns (address) {
+        if (approvers.contains(signer)) return signer;
+        RetiredApprover memory retired = retiredApprovers[signer];
+        if (block.timestamp >= retired.validUntil || !approvers.contains(retired.replacement)) {
+            revert InvalidSignature();
+        }
+        return retired.replacement;
+    }
+
+    /// @dev `signatures` holds one or more packed 65-byte signatures. Every signer must be a
+    /// distinct approver, and at least `required` of them must sign.
+    function _verifyApproverSignature(
+        bytes32 structHash,
+        bytes calldata signatures,
+        uint256 required
+    ) internal view returns (uint256 approvals) {
+        if (signatures.length == 0 || signatures.length % 65 != 0) revert InvalidSignature();
+        bytes32 digest = _hashTypedDataV4(structHash);
+        approvals = signatures.length / 65;
+        address[] memory signers = new address[](approvals);
+        for (uint256 i = 0; i < approvals; i++) {
+            address signer = _resolveApprover(ECDSA.recover(digest, signatures[i * 65:(i + 1) * 65]));
+            for (uint256 j = 0; j < i; j++) {
+                if (signers[j] == signer) revert DuplicateSigner();
+            }
+            signers[i] = signer;
+        }
+        if (approvals < required) revert InsufficientApprovals(approvals, required);
+    }
+
+    function _verifyWallet(address wallet) internal view returns (BattleWallet battleWallet) {
+        if (wallet == address(0)) revert ZeroAddress();
+        if (!deployedWallets[wallet]) {
+            revert InvalidWallet();
+        }
+        battleWallet = BattleWallet(payable(wallet));        
+    }
+}
@@ -0,0 +1,594 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+
+import {BattleWallet, IERC20, SafeERC20} from "./BattleWallet.sol";
+import {BattleWalletFactoryBase} from "./BattleWalletFactoryBase.sol";
+
+/// @title BattleWalletFactoryExtension
+/// @notice Approver set, fee settings and ledger, two-player game relays and batch relays of BattleWalletFactory.
+contract BattleWalletFactoryExtension is BattleWalletFactoryBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant RESERVE_TYPEHASH = keccak256(
+        "RESERVE(uint64 gameId,uint256 amountPlayer1,uint256 amountPlayer2,address player1,address player2,address tokenPlayer1,address tokenPlayer2,uint64 ttl,uint64 noncePlayer1,uint64 noncePlayer2,FeeSplit[] fees,address factory,uint64 epoch)FeeSplit(address recipient,uint16 basisPoints)"
+    );
+    bytes32 private constant SETTLE_TYPEHASH = keccak256(
+        "SETTLE(uint64 gameId,address winner,address loser,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+    bytes32 private constant CANCEL_TYPEHASH = keccak256(
+        "CANCEL(uint64 gameId,address walletOne,address walletTwo,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+    bytes32 private constant DRAW_TYPEHASH = keccak256(
+        "DRAW(uint64 gameId,address walletOne,address walletTwo,bool chargeFee,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+    bytes32 private constant BATCH_TYPEHASH = keccak256(
+        "BATCH(bytes32 root,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+
+    // owned by the deploying factory, but only ever runs on the factory's own storage
+    constructor() Ownable(msg.sender) {}
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Approver set
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Replaces the approver set with a single approver and resets the threshold to one.
+    /// @dev Amount tiers are kept, so tiers above one signature need approvers added back.
+    function setApprover(address newApprover) external onlyOwner {
+        if (newApprover == address(0)) revert ZeroAddress();
+        address[] memory previous = approvers.values();
+        for (uint256 i = 0; i < previous.length; i++) {
+            approvers.remove(previous[i]);
+            emit ApproverRemoved(previous[i]);
+        }
+        approvers.add(newApprover);
+        emit ApproverAdded(newApprover);
+        if (approvalThreshold != 1) {
+            approvalThreshold = 1;
+            emit ApprovalThresholdUpdated(1);
+        }
+        emit ApproverUpdated(newApprover);
+    }
+
+    /// @notice Replaces `oldApprover` with `newApprover` in the approver set.
+    /// @dev A planned rotation keeps accepting `oldApprover` signatures, counted as
+    /// `newApprover`, for `approverRotationGrace` seconds so in-flight games can finish.
+    /// An emergency rotation drops the old key at once and bumps `signatureEpoch`,
+    /// voiding every signature issued so far by any approver.
+    function rotateApprover(address oldApprover, address newApprover, bool emergency) external onlyOwner {
+        if (newApprover == address(0)) revert ZeroAddress();
+        if (!approvers.remove(oldApprover)) revert InvalidApprover();
+        if (!approvers.add(newApprover)) revert InvalidApprover();
+        emit ApproverRemoved(oldApprover);
+        emit ApproverAdded(newApprover);
+
+        uint64 validUntil;
+        if (emergency) {
+            delete retiredApprovers[oldApprover];
+            signatureEpoch++;
+            emit SignatureEpochUpdated(signatureEpoch);
+        } else {
+            validUntil = uint64(block.timestamp) + approverRotationGrace;
+            retiredApprovers[oldApprover] = RetiredApprover({replacement: newApprover, validUntil: validUntil});
+        }
+        emit ApproverRotated(oldApprover, newApprover, validUntil, emergency);
+    }
+
+    /// @notice Sets how long a planned rotation keeps accepting the old approver's signatures.
+    function setApproverRotationGrace(uint64 grace) external onlyOwner {
+        if (grace > MAX_APPROVER_ROTATION_GRACE) revert InvalidRotationGrace();
+        approverRotationGrace = grace;
+        emit ApproverRotationGraceUpdated(grace);
+    }
+
+    /// @notice Adds an account whose signatures count towards the approval threshold.
+    function addApprover(address account) external onlyOwner {
+        if (account == address(0)) revert ZeroAddress();
+        if (!approvers.add(account)) revert InvalidApprover();
+        emit ApproverAdded(account);
+    }
+
+    /// @notice Removes an approver; the set may not shrink below the global threshold or the
+    /// threshold of any amount tier.
+    function removeApprover(address account) external onlyOwner {
+        uint256 remaining = approvers.length() - 1;
+        if (remaining < approvalThreshold) revert InvalidThreshold();
+        address[] memory tokens = tieredTokens.values();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            ApprovalTier[] storage tiers = approvalTiers[tokens[i]];
+            for (uint256 j = 0; j < tiers.length; j++) {
+                if (tiers[j].threshold > remaining) revert InvalidThreshold();
+            }
+        }
+        if (!approvers.remove(account)) revert InvalidApprover();
+        emit ApproverRemoved(account);
+    }
+
+    /// @notice Sets how many approvers must sign every relayed message.
+    function setApprovalThreshold(uint16 threshold) external onlyOwner {
+        if (threshold == 0 || threshold > approvers.length()) revert InvalidThreshold();
+        approvalThreshold = threshold;
+        emit ApprovalThresholdUpdated(threshold);
+    }
+
+    /// @notice Replaces the amount tiers for wagers in `wagerToken` (zero address for ether).
+    /// @dev Reservations and settlements need the highest threshold among the global one and
+    /// every tier whose minAmount the wager reaches. An empty array clears the tiers.
+    function setApprovalTiers(address wagerToken, ApprovalTier[] calldata tiers) external onlyOwner {
+        delete approvalTiers[wagerToken];
+        uint256 approverCount = approvers.length();
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (i > 0 && tiers[i].minAmount <= tiers[i - 1].minAmount) revert InvalidThreshold();
+            if (tiers[i].threshold == 0 || tiers[i].threshold > approverCount) revert InvalidThreshold();
+            approvalTiers[wagerToken].push(tiers[i]);
+        }
+        if (tiers.length != 0) {
+            tieredTokens.add(wagerToken);
+        } else {
+            tieredTokens.remove(wagerToken);
+        }
+        emit ApprovalTiersUpdated(wagerToken, tiers);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Fee cap and recipients
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Sets the largest combined fee share, in basis points, wallets accept on reserve.
+    /// @dev Lowering the cap applies at once. Raising it applies FEE_CAP_DELAY later and
+    /// replaces any increase already scheduled; reservations keep the fees they were made with.
+    function setMaxFeeBasisPoints(uint16 newMaxFeeBasisPoints) external onlyOwner {
+        if (newMaxFeeBasisPoints > MAX_FEE_CAP) revert InvalidFeeCap();
+        uint16 current = _syncFeeCap();
+        if (newMaxFeeBasisPoints <= current) {
+            feeCap = newMaxFeeBasisPoints;
+            delete pendingFeeCap;
+            emit FeeCapUpdated(newMaxFeeBasisPoints);
+            return;
+        }
+        uint64 effectiveAt = uint64(block.timestamp) + FEE_CAP_DELAY;
+        pendingFeeCap = PendingFeeCap({maxFeeBasisPoints: newMaxFeeBasisPoints, effectiveAt: effectiveAt});
+        emit FeeCapIncreaseScheduled(newMaxFeeBasisPoints, effectiveAt);
+    }
+
+    /// @notice Adds or removes an account that reservation fees may be paid to.
+    /// @dev Removing a recipient only blocks new reservations; existing ones still pay it.
+    function setFeeRecipient(address recipient, bool allowed) external onlyOwner {
+        if (recipient == address(0)) revert ZeroAddress();
+        allowedFeeRecipients[recipient] = allowed;
+        emit FeeRecipientUpdated(recipient, allowed);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Fee ledger
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Credits fees paid by a wallet on settlement to their recipients.
+    /// @dev Ether arrives as msg.value. Tokens are transferred to the factory beforehand, so
+    /// the factory only credits what its balance holds beyond the fees already owed.
+    function accrueFees(
+        uint64 gameId,
+        address token,
+        address[] calldata recipients,
+        uint256[] calldata amounts
+    ) external payable {
+        if (!deployedWallets[msg.sender]) revert InvalidWallet();
+        if (recipients.length != amounts.length) revert InvalidFeeAccrual();
+        uint256 total = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            accruedFees[recipients[i]][token] += amounts[i];
+            total += amounts[i];
+            emit FeesAccrued(gameId, recipients[i], token, amounts[i]);
+        }
+        uint256 owed = totalAccruedFees[token] + total;
+        if (token == address(0)) {
+            if (msg.value != total) revert InvalidFeeAccrual();
+        } else if (msg.value != 0 || IERC20(token).balanceOf(address(this)) < owed) {
+            revert InvalidFeeAccrual();
+        }
+        totalAccruedFees[token] = owed;
+    }
+
+    /// @notice Pays the caller's accrued fees in each of `tokens` (zero address for ether) to `to`.
+    function claimFees(address[] calldata tokens, address to) external nonReentrant {
+        if (to == address(0)) revert ZeroAddress();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            uint256 amount = accruedFees[msg.sender][token];
+            if (amount == 0) {
+                continue;
+            }
+            accruedFees[msg.sender][token] = 0;
+            totalAccruedFees[token] -= amount;
+            if (token == address(0)) {
+                Address.sendValue(payable(to), amount);
+            } else {
+                IERC20(token).safeTransfer(to, amount);
+            }
+            emit FeesClaimed(msg.sender, token, to, amount);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Game relays
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Relays a reserve call to both participating BattleWallet contracts.
+    /// @dev Calls revert entirely if any of the underlying wallet calls fail.
+    function relayReserve(
+        BattleWallet.ReserveRequest calldata reserveRequest,
+        bytes calldata reserveSignature,
+        // player approval for every wager is optional
+        // if player odes not require approval, then '0x' can be supplied
+        // and signature will not be checked
+        bytes calldata playerOneApproval,
+        bytes calldata playerTwoApproval
+    ) external whenNotPaused {
+        _verifyReserveSignature(reserveRequest, reserveSignature);
+        _relayReserve(reserveRequest, playerOneApproval, playerTwoApproval);
+    }
+
+    /// @notice Relays a settle call to both participating BattleWallet contracts.
+    /// @dev Calls revert entirely if any of the underlying wallet calls fail.
+    function relaySettle(
+        BattleWallet.SettlementRequest calldata settlementRequest,
+        uint64 expiresAt,
+        bytes calldata settlementSignature
+    ) external nonReentrant whenNotPaused {
+        _verifySettlementSignature(settlementRequest, expiresAt, settlementSignature);
+        _relaySettle(settlementRequest);
+    }
+
+    /// @notice Settles a game from the players' own signatures instead of the approver's.
+    /// @dev The loser's owner must sign `SETTLE` on its wallet's domain, which on its own is a
+    /// concession. `winnerSignature` is optional; when given it must be the winner owner's
+    /// signature over the same message.
+    function relayMutualSettle(
+        BattleWallet.SettlementRequest calldata settlementRequest,
+        bytes calldata loserSignature,
+        bytes calldata winnerSignature
+    ) external nonReentrant whenNotPaused {
+        if (!_verifyWallet(settlementRequest.loser).isOwnerSettlementSigned(settlementRequest, loserSignature)) {
+            revert InvalidSignature();
+        }
+        if (
+            winnerSignature.length != 0 &&
+            !_verifyWallet(settlementRequest.winner).isOwnerSettlementSigned(settlementRequest, winnerSignature)
+        ) {
+            revert InvalidSignature();
+        }
+        _relaySettle(settlementRequest);
+    }
+
+    /// @notice Relays a draw to both participating BattleWallet contracts.
+    /// @dev Releases both reservations; when `chargeFee` is set each wallet pays its stored fee.
+    function relaySettleDraw(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        bool chargeFee,
+        uint64 expiresAt,
+        bytes calldata drawSignature
+    ) external nonReentrant whenNotPaused {
+        _verifyDrawSignature(walletOne, walletTwo, gameId, chargeFee, expiresAt, drawSignature);
+        BattleWallet firstWallet = _verifyWallet(walletOne);
+        BattleWallet secondWallet = _verifyWallet(walletTwo);
+
+        firstWallet.settleDraw(gameId, walletTwo, chargeFee);
+        secondWallet.settleDraw(gameId, walletOne, chargeFee);
+    }
+
+    /// @notice Relays a cancel call to both participating BattleWallet contracts.
+    /// @dev Cancels the reservation on each wallet after verifying the shared signature.
+    function relayCancel(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        uint64 expiresAt,
+        bytes calldata cancelSignature
+    ) external {
+        _verifyCancelSignature(walletOne, walletTwo, gameId, expiresAt, cancelSignature);
+        _relayCancel(walletOne, walletTwo, gameId);
+    }
+
+    /// @notice Cancels a game both wallet owners agreed to abort, without the approver.
+    /// @dev Each owner signs the same `MUTUAL_CANCEL` message on their own wallet's domain.
+    function relayMutualCancel(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        uint64 deadline,
+        bytes calldata walletOneSignature,
+        bytes calldata walletTwoSignature
+    ) external {
+        if (block.timestamp > deadline) revert InvalidSignature();
+        if (
+            !_verifyWallet(walletOne).isOwnerCancelSigned(gameId, walletOne, walletTwo, deadline, walletOneSignature) ||
+            !_verifyWallet(walletTwo).isOwnerCancelSigned(gameId, walletOne, walletTwo, deadline, walletTwoSignature)
+        ) {
+            revert InvalidSignature();
+        }
+        _relayCancel(walletOne, walletTwo, gameId);
+    }
+
+    /// @notice Relays a batch of reservations approved by a single signature over a Merkle root.
+    /// @dev Each item proves its RESERVE struct hash against `root`. With `atomic` set, any failing
+    /// item reverts the whole batch; otherwise failing items are skipped and reported.
+    function relayReserveBatch(
+        ReserveBatchItem[] calldata items,
+        bytes32 root,
+        uint64 expiresAt,
+        bytes calldata batchSignature,
+        bool atomic
+    ) external whenNotPaused {
+        uint256 approvals = _verifyBatchSignature(root, expiresAt, batchSignature);
+        for (uint256 i = 0; i < items.length; i++) {
+            ReserveBatchItem calldata item = items[i];
+            uint256 required = _requiredReserveApprovals(item.request);
+            bool success = _isBatchItemApproved(item.proof, root, _hashReserve(item.request), approvals, required, atomic);
+            if (success) {
+                if (atomic) {
+                    _relayReserve(item.request, item.playerOneApproval, item.playerTwoApproval);
+                } else {
+                    try this.relayReserveBatchItem(item) {} catch { success = false; }
+                }
+            }
+            emit BatchItemProcessed(root, i, item.request.gameId, success);
+        }
+    }
+
+    /// @notice Relays a batch of settlements approved by a single signature over a Merkle root.
+    /// @dev Leaves are SETTLE struct hashes that share the batch `expiresAt`.
+    function relaySettleBatch(
+        SettleBatchItem[] calldata items,
+        bytes32 root,
+        uint64 expiresAt,
+        bytes calldata batchSignature,
+        bool atomic
+    ) external nonReentrant whenNotPaused {
+        uint256 approvals = _verifyBatchSignature(root, expiresAt, batchSignature);
+        for (uint256 i = 0; i < items.length; i++) {
+            SettleBatchItem calldata item = items[i];
+            bytes32 leaf = _hashSettlement(item.request, expiresAt);
+            uint256 required = _requiredSettlementApprovals(item.request);
+            bool success = _isBatchItemApproved(item.proof, root, leaf, approvals, required, atomic);
+            if (success) {
+                if (atomic) {
+                    _relaySettle(item.request);
+                } else {
+                    try this.relaySettleBatchItem(item.request) {} catch { success = false; }
+                }
+            }
+            emit BatchItemProcessed(root, i, item.request.gameId, success);
+        }
+    }
+
+    /// @notice Relays a batch of cancellations approved by a single signature over a Merkle root.
+    /// @dev Leaves are CANCEL struct hashes that share the batch `expiresAt`.
+    function relayCancelBatch(
+        CancelBatchItem[] calldata items,
+        bytes32 root,
+        uint64 expiresAt,
+        bytes calldata batchSignature,
+        bool atomic
+    ) external {
+        uint256 approvals = _verifyBatchSignature(root, expiresAt, batchSignature);
+        for (uint256 i = 0; i < items.length; i++) {
+            CancelBatchItem calldata item = items[i];
+            bytes32 leaf = _hashCancel(item.walletOne, item.walletTwo, item.gameId, expiresAt);
+            bool success = _isBatchItemApproved(item.proof, root, leaf, approvals, approvalThreshold, atomic);
+            if (success) {
+                if (atomic) {
+                    _relayCancel(item.walletOne, item.walletTwo, item.gameId);
+                } else {
+                    try this.relayCancelBatchItem(item.walletOne, item.walletTwo, item.gameId) {} catch {
+                        success = false;
+                    }
+                }
+            }
+            emit BatchItemProcessed(root, i, item.gameId, success);
+        }
+    }
+
+    /// @dev Self-call target for skip-on-failure reserve batches; the proof is checked by the caller.
+    function relayReserveBatchItem(ReserveBatchItem calldata item) external onlySelf {
+        _relayReserve(item.request, item.playerOneApproval, item.playerTwoApproval);
+    }
+
+    /// @dev Self-call target for skip-on-failure settle batches; the proof is checked by the caller.
+    function relaySettleBatchItem(BattleWallet.SettlementRequest calldata request) external onlySelf {
+        _relaySettle(request);
+    }
+
+    /// @dev Self-call target for skip-on-failure cancel batches; the proof is checked by the caller.
+    function relayCancelBatchItem(address walletOne, address walletTwo, uint64 gameId) external onlySelf {
+        _relayCancel(walletOne, walletTwo, gameId);
+    }
+
+    function _relayReserve(
+        BattleWallet.ReserveRequest calldata reserveRequest,
+        bytes calldata playerOneApproval,
+        bytes calldata playerTwoApproval
+    ) private {
+        if (reserveRequest.factory != address(this)) revert InvalidSignature();
+        _checkWagerToken(reserveRequest.tokenPlayer1);
+        _checkWagerToken(reserveRequest.tokenPlayer2);
+        BattleWallet walletOne = _verifyWallet(reserveRequest.player1);
+        BattleWallet walletTwo = _verifyWallet(reserveRequest.player2);
+
+        uint64 expiration = _reservationExpiration(reserveRequest.ttl);
+        walletOne.reserve(reserveRequest, expiration, playerOneApproval);
+        walletTwo.reserve(reserveRequest, expiration, playerTwoApproval);
+    }
+
+    function _relaySettle(BattleWallet.SettlementRequest calldata settlementRequest) private {
+        if (settlementRequest.factory != address(this)) revert InvalidSignature();
+        BattleWallet winnerWallet = _verifyWallet(settlementRequest.winner);
+        BattleWallet loserWallet = _verifyWallet(settlementRequest.loser);
+
+        loserWallet.settleForLoser(settlementRequest);
+        winnerWallet.settleForWinner(settlementRequest);
+    }
+
+    function _relayCancel(address walletOne, address walletTwo, uint64 gameId) private {
+        BattleWallet firstWallet = _verifyWallet(walletOne);
+        BattleWallet secondWallet = _verifyWallet(walletTwo);
+
+        firstWallet.cancel(gameId, walletTwo);
+        secondWallet.cancel(gameId, walletOne);
+    }
+
+    function _verifyReserveSignature(BattleWallet.ReserveRequest calldata request, bytes calldata signature) private view {
+        _verifyApproverSignature(_hashReserve(request), signature, _requiredReserveApprovals(request));
+    }
+
+    function _hashReserve(BattleWallet.ReserveRequest calldata request) private view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                RESERVE_TYPEHASH,
+                request.gameId,
+                request.amountPlayer1,
+                request.amountPlayer2,
+                request.player1,
+                request.player2,
+                request.tokenPlayer1,
+                request.tokenPlayer2,
+                request.ttl,
+                request.noncePlayer1,
+                request.noncePlayer2,
+                _hashFees(request.fees),
+                request.factory,
+                signatureEpoch
+            )
+        );
+    }
+
+    /// @dev Each stake is checked against the tiers of its own asset and the stricter tier applies.
+    function _requiredReserveApprovals(BattleWallet.ReserveRequest calldata request) private view returns (uint256) {
+        uint256 requiredPlayer1 = getRequiredApprovals(request.tokenPlayer1, request.amountPlayer1);
+        uint256 requiredPlayer2 = getRequiredApprovals(request.tokenPlayer2, request.amountPlayer2);
+        return requiredPlayer1 > requiredPlayer2 ? requiredPlayer1 : requiredPlayer2;
+    }
+
+    function _verifySettlementSignature(
+        BattleWallet.SettlementRequest calldata request,
+        uint64 expiresAt,
+        bytes calldata signature
+    ) private view {
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+        _verifyApproverSignature(_hashSettlement(request, expiresAt), signature, _requiredSettlementApprovals(request));
+    }
+
+    function _hashSettlement(
+        BattleWallet.SettlementRequest calldata request,
+        uint64 expiresAt
+    ) private view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                SETTLE_TYPEHASH,
+                request.gameId,
+                request.winner,
+                request.loser,
+                request.factory,
+                expiresAt,
+                signatureEpoch
+            )
+        );
+    }
+
+    function _verifyCancelSignature(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        uint64 expiresAt,
+        bytes calldata signature
+    ) private view {
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+        _verifyApproverSignature(_hashCancel(walletOne, walletTwo, gameId, expiresAt), signature, approvalThreshold);
+    }
+
+    function _hashCancel(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        uint64 expiresAt
+    ) private view returns (bytes32) {
+        return keccak256(abi.encode(CANCEL_TYPEHASH, gameId, walletOne, walletTwo, address(this), expiresAt, signatureEpoch));
+    }
+
+    function _verifyDrawSignature(
+        address walletOne,
+        address walletTwo,
+        uint64 gameId,
+        bool chargeFee,
+        uint64 expiresAt,
+        bytes calldata signature
+    ) private view {
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+        bytes32 structHash = keccak256(
+            abi.encode(DRAW_TYPEHASH, gameId, walletOne, walletTwo, chargeFee, address(this), expiresAt, signatureEpoch)
+        );
+        _verifyApproverSignature(structHash, signature, approvalThreshold);
+    }
+
+    /// @dev Returns the number of approvers that signed the root, which must reach at least
+    /// the global threshold. Items needing more are checked individually.
+    function _verifyBatchSignature(
+        bytes32 root,
+        uint64 expiresAt,
+        bytes calldata signatures
+    ) private view returns (uint256 approvals) {
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+        bytes32 structHash = keccak256(abi.encode(BATCH_TYPEHASH, root, address(this), expiresAt, signatureEpoch));
+        approvals = _verifyApproverSignature(structHash, signatures, approvalThreshold);
+    }
+
+    /// @dev Checks a batch item against the signed root and its approval requirement. Atomic
+    /// batches revert on a failed check, skip-on-failure batches report the item as failed instead.
+    function _isBatchItemApproved(
+        bytes32[] calldata proof,
+        bytes32 root,
+        bytes32 leaf,
+        uint256 approvals,
+        uint256 required,
+        bool atomic
+    ) private pure returns (bool) {
+        if (!MerkleProof.verifyCalldata(proof, root, leaf)) {
+            if (atomic) revert InvalidProof();
+            return false;
+        }
+        if (approvals < required) {
+            if (atomic) revert InsufficientApprovals(approvals, required);
+            return false;
+        }
+        return true;
+    }
+
+    /// @dev Settlements move the reserved funds, so the loser's reservation decides the tier.
+    function _requiredSettlementApprovals(
+        BattleWallet.SettlementRequest calldata request
+    ) private view returns (uint256) {
+        if (!deployedWallets[request.loser]) {
+            // rejected when relayed
+            return approvalThreshold;
+        }
+        (uint256 amount, , , address wagerToken, , , ) =
+            BattleWallet(payable(request.loser)).getReservationDetails(request.gameId);
+        return getRequiredApprovals(wagerToken, amount);
+    }
+
+    function _syncFeeCap() private returns (uint16) {
+        if (pendingFeeCap.effectiveAt != 0 && pendingFeeCap.effectiveAt <= block.timestamp) {
+            feeCap = pendingFeeCap.maxFeeBasisPoints;
+            delete pendingFeeCap;
+            emit FeeCapUpdated(feeCap);
+        }
+        return feeCap;
+    }
+}
@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+
+import {BattleWallet, IERC20, SafeERC20} from "./BattleWallet.sol";
+import {BattleWalletFactoryBase} from "./BattleWalletFactoryBase.sol";
+
+/// @title BattleWalletFactoryPots
+/// @notice Multi-player pot relays of BattleWalletFactory.
+contract BattleWalletFactoryPots is BattleWalletFactoryBase {
+    using SafeERC20 for IERC20;
+
+    uint16 private constant BASIS_POINTS = 10_000;
+
+    bytes32 private constant RESERVE_POT_TYPEHASH = keccak256(
+        "RESERVE_POT(uint64 gameId,uint256 buyIn,address[] players,uint64[] nonces,address token,uint64 ttl,FeeSplit[] fees,address factory,uint64 epoch)FeeSplit(address recipient,uint16 basisPoints)"
+    );
+    bytes32 private constant SETTLE_POT_TYPEHASH = keccak256(
+        "SETTLE_POT(uint64 gameId,address[] wallets,uint16[] payoutBasisPoints,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+    bytes32 private constant CANCEL_POT_TYPEHASH = keccak256(
+        "CANCEL_POT(uint64 gameId,address[] wallets,address factory,uint64 expiresAt,uint64 epoch)"
+    );
+
+    // owned by the deploying factory, but only ever runs on the factory's own storage
+    constructor() Ownable(msg.sender) {}
+
+    /// @notice Locks the same buy-in on every wallet of a multi-player pot under one game id.
+    /// @param playerApprovals one entry per player, '0x' for wallets that do not require approval
+    function relayReservePot(
+        BattleWallet.PotReserveRequest calldata request,
+        bytes calldata reserveSignature,
+        bytes[] calldata playerApprovals
+    ) external whenNotPaused {
+        uint256 playerCount = request.players.length;
+        if (playerCount < MIN_POT_PLAYERS || playerCount > MAX_POT_PLAYERS) revert InvalidPotSize();
+        if (request.nonces.length != playerCount || playerApprovals.length != playerCount) revert InvalidPotSize();
+        if (request.factory != address(this)) revert InvalidSignature();
+        _checkWagerToken(request.token);
+        _verifyApproverSignature(
+            _hashReservePot(request),
+            reserveSignature,
+            getRequiredApprovals(request.token, request.buyIn * playerCount)
+        );
+
+        uint64 expiration = _reservationExpiration(request.ttl);
+        for (uint256 i = 0; i < playerCount; i++) {
+            // a wallet listed twice fails with GameExists on its second reservation
+            _verifyWallet(request.players[i]).reservePot(request, expiration, playerApprovals[i]);
+        }
+    }
+
+    /// @notice Settles a pot with an approver-signed payout table.
+    /// @dev Every wallet pays its buy-in into the factory. The stored fees are charged once on
+    /// the whole pot and credited to the fee ledger, and the rest is paid to the wallets by
+    /// `payoutBasisPoints`, which lines up with `wallets` and sums to 10000. Rounding dust
+    /// goes to the first wallet with a payout.
+    function relaySettlePot(
+        uint64 gameId,
+        address[] calldata wallets,
+        uint16[] calldata payoutBasisPoints,
+        uint64 expiresAt,
+        bytes calldata settlementSignature
+    ) external nonReentrant whenNotPaused {
+        if (wallets.length < MIN_POT_PLAYERS || wallets.length > MAX_POT_PLAYERS) revert InvalidPotSize();
+        if (payoutBasisPoints.length != wallets.length) revert InvalidPayouts();
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+
+        BattleWallet firstWallet = _verifyWallet(wallets[0]);
+        (uint256 buyIn, , , address token, , , ) = firstWallet.getReservationDetails(gameId);
+        uint256 pot = buyIn * wallets.length;
+        _verifyApproverSignature(
+            _hashSettlePot(gameId, wallets, payoutBasisPoints, expiresAt),
+            settlementSignature,
+            getRequiredApprovals(token, pot)
+        );
+
+        uint256 fees = _accruePotFees(gameId, token, pot, firstWallet.getReservationFees(gameId));
+        uint256[] memory payouts = _splitPot(pot - fees, payoutBasisPoints);
+        bytes32 playersHash = keccak256(abi.encodePacked(wallets));
+        for (uint256 i = 0; i < wallets.length; i++) {
+            (address walletToken, uint256 walletBuyIn) =
+                _verifyWallet(wallets[i]).settlePot(gameId, playersHash, payouts[i]);
+            // every wallet reserved from the same signed request
+            if (walletToken != token || walletBuyIn != buyIn) revert InvalidPayouts();
+        }
+
+        // the buy-ins are held on top of the fees already owed until paid out below
+        uint256 held = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        if (held < totalAccruedFees[token] + pot - fees) revert InvalidPayouts();
+        for (uint256 i = 0; i < wallets.length; i++) {
+            if (payouts[i] == 0) {
+                continue;
+            }
+            if (token == address(0)) {
+                Address.sendValue(payable(wallets[i]), payouts[i]);
+            } else {
+                IERC20(token).safeTransfer(wallets[i], payouts[i]);
+            }
+        }
+    }
+
+    /// @notice Releases the buy-in of every wallet in a pot.
+    function relayCancelPot(
+        uint64 gameId,
+        address[] calldata wallets,
+        uint64 expiresAt,
+        bytes calldata cancelSignature
+    ) external {
+        if (block.timestamp > expiresAt) revert InvalidSignature();
+        _verifyApproverSignature(_hashCancelPot(gameId, wallets, expiresAt), cancelSignature, approvalThreshold);
+        bytes32 playersHash = keccak256(abi.encodePacked(wallets));
+        for (uint256 i = 0; i < wallets.length; i++) {
+            _verifyWallet(wallets[i]).cancelPot(gameId, playersHash);
+        }
+    }
+
+    /// @dev Charges each stored fee share on the whole pot and credits it to the ledger.
+    function _accruePotFees(
+        uint64 gameId,
+        address token,
+        uint256 pot,
+        BattleWallet.FeeSplit[] memory fees
+    ) private returns (uint256 total) {
+        for (uint256 i = 0; i < fees.length; i++) {
+            uint256 fee = (pot * fees[i].basisPoints) / BASIS_POINTS;
+            if (fee == 0) {
+                continue;
+            }
+            accruedFees[fees[i].recipient][token] += fee;
+            total += fee;
+            emit FeesAccrued(gameId, fees[i].recipient, token, fee);
+        }
+        totalAccruedFees[token] += total;
+    }
+
+    function _splitPot(
+        uint256 amount,
+        uint16[] calldata payoutBasisPoints
+    ) private pure returns (uint256[] memory payouts) {
+        payouts = new uint256[](payoutBasisPoints.length);
+        uint256 totalBasisPoints = 0;
+        uint256 paid = 0;
+        uint256 first = type(uint256).max;
+        for (uint256 i = 0; i < payoutBasisPoints.length; i++) {
+            if (payoutBasisPoints[i] == 0) {
+                continue;
+            }
+            if (first == type(uint256).max) {
+                first = i;
+            }
+            totalBasisPoints += payoutBasisPoints[i];
+            payouts[i] = (amount * payoutBasisPoints[i]) / BASIS_POINTS;
+            paid += payouts[i];
+        }
+        if (totalBasisPoints != BASIS_POINTS) revert InvalidPayouts();
+        payouts[first] += amount - paid;
+    }
+
+    function _hashReservePot(BattleWallet.PotReserveRequest calldata request) private view returns (bytes32) {
+        // hashed up front, or the relay's encoder runs out of stack slots
+        bytes32 feesHash = _hashFees(request.fees);
+        return keccak256(
+            abi.encode(
+                RESERVE_POT_TYPEHASH,
+                request.gameId,
+                request.buyIn,
+                keccak256(abi.encodePacked(request.players)),
+                keccak256(abi.encodePacked(request.nonces)),
+                request.token,
+                request.ttl,
+                feesHash,
+                address(this),
+                signatureEpoch
+            )
+        );
+    }
+
+    function _hashSettlePot(
+        uint64 gameId,
+        address[] calldata wallets,
+        uint16[] calldata payoutBasisPoints,
+        uint64 expiresAt
+    ) private view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                SETTLE_POT_TYPEHASH,
+                gameId,
+                keccak256(abi.encodePacked(wallets)),
+                keccak256(abi.encodePacked(payoutBasisPoints)),
+                address(this),
+                expiresAt,
+                signatureEpoch
+            )
+        );
+    }
+
+    function _hashCancelPot(uint64 gameId, address[] calldata wallets, uint64 expiresAt) private view returns (bytes32) {
+        return keccak256(
+            abi.encode(CANCEL_POT_TYPEHASH, gameId, keccak256(abi.encodePacked(wallets)), address(this), expiresAt, signatureEpoch)
+        );
+    }
+}
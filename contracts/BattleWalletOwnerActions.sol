@@ -0,0 +1,270 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+import {BattleWalletBase, IERC20, SafeERC20} from "./BattleWalletBase.sol";
+
+/// @title BattleWalletOwnerActions
+/// @notice Withdrawals, owner-signed relayed actions and owner settings of BattleWallet.
+/// @dev Its own storage is never initialized, so calling it directly fails the owner and factory checks.
+contract BattleWalletOwnerActions is BattleWalletBase {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 private constant WITHDRAW_TYPEHASH = keccak256(
+        "WITHDRAW(address token,address recipient,uint256 amount,address feeToken,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant SET_APPROVAL_TYPEHASH = keccak256(
+        "SET_APPROVAL(bool requireApproval,address feeToken,uint256 relayerFee,uint256 nonce,uint256 deadline)"
+    );
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Funds management
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    function withdraw(uint256 amount) external onlyOwner nonReentrant {
+        _withdrawEth(owner, amount);
+    }
+
+    /// @notice Sends `amount` of unreserved ether to `recipient`.
+    function withdrawTo(address recipient, uint256 amount) external onlyOwner nonReentrant {
+        _withdrawEth(recipient, amount);
+    }
+
+    /// @notice Sends all unreserved ether to the owner, after sweeping expired reservations.
+    function withdrawAll() external onlyOwner nonReentrant returns (uint256 amount) {
+        amount = _sweepAndGetAvailableEth();
+        if (amount == 0) revert InsufficientFunds();
+        emit EthWithdrawn(owner, amount);
+        Address.sendValue(payable(owner), amount);
+    }
+
+    function withdrawToken(address token, uint256 amount) external onlyOwner nonReentrant {
+        _withdrawTokens(token, owner, amount);
+    }
+
+    /// @notice Sends `amount` of unreserved `token` to `recipient`.
+    function withdrawTokenTo(address token, address recipient, uint256 amount) external onlyOwner nonReentrant {
+        _withdrawTokens(token, recipient, amount);
+    }
+
+    /// @notice Sends the whole unreserved `token` balance to the owner, after sweeping expired reservations.
+    function withdrawAllTokens(address token) external onlyOwner nonReentrant returns (uint256 amount) {
+        amount = _sweepAndGetAvailableTokens(token);
+        if (amount == 0) revert InsufficientFunds();
+        emit TokensWithdrawn(token, owner, amount);
+        IERC20(token).safeTransfer(owner, amount);
+    }
+
+    /// @notice Executes a withdrawal signed by the owner and pays the relayer's fee.
+    /// @dev Called by the factory, which passes the account that submitted the message.
+    function withdrawWithSignature(
+        WithdrawRequest calldata request,
+        address relayer,
+        bytes calldata signature
+    ) external onlyFactory nonReentrant {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                WITHDRAW_TYPEHASH,
+                request.token,
+                request.recipient,
+                request.amount,
+                request.feeToken,
+                request.relayerFee,
+                request.nonce,
+                request.deadline
+            )
+        );
+        _useOwnerSignature(structHash, request.nonce, request.deadline, signature);
+        if (request.token == address(0)) {
+            _withdrawEth(request.recipient, request.amount);
+        } else {
+            _withdrawTokens(request.token, request.recipient, request.amount);
+        }
+        _payRelayerFee(request.nonce, relayer, request.feeToken, request.relayerFee);
+    }
+
+    /// @notice Applies a setApprovalRequired signed by the owner and pays the relayer's fee.
+    function setApprovalRequiredWithSignature(
+        SetApprovalRequest calldata request,
+        address relayer,
+        bytes calldata signature
+    ) external onlyFactory nonReentrant {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                SET_APPROVAL_TYPEHASH,
+                request.requireApproval,
+                request.feeToken,
+                request.relayerFee,
+                request.nonce,
+                request.deadline
+            )
+        );
+        _useOwnerSignature(structHash, request.nonce, request.deadline, signature);
+        requireApproval = request.requireApproval;
+        emit ApprovalRequirementUpdated(request.requireApproval);
+        _payRelayerFee(request.nonce, relayer, request.feeToken, request.relayerFee);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Session keys
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Lets `key` sign reservation approvals in place of the owner, within limits.
+    /// @dev Registering an existing key replaces its config and resets its spent amount.
+    function registerSessionKey(
+        address key,
+        uint64 expiresAt,
+        address token,
+        uint256 maxAmountPerGame,
+        uint256 totalBudget,
+        address opponent,
+        address feeWallet
+    ) external onlyOwner {
+        if (key == address(0)) revert ZeroAddress();
+        if (!(expiresAt > block.timestamp)) revert ExpiredInPast();
+        if (maxAmountPerGame == 0) revert InvalidAmount();
+        sessionKeys[owner][key] = SessionKey({
+            expiresAt: expiresAt,
+            token: token,
+            maxAmountPerGame: maxAmountPerGame,
+            totalBudget: totalBudget,
+            opponent: opponent,
+            feeWallet: feeWallet,
+            spent: 0
+        });
+        emit SessionKeyRegistered(key, expiresAt, token, maxAmountPerGame, totalBudget, opponent, feeWallet);
+    }
+
+    function revokeSessionKey(address key) external onlyOwner {
+        if (sessionKeys[owner][key].expiresAt == 0) revert SessionKeyNotAllowed();
+        delete sessionKeys[owner][key];
+        emit SessionKeyRevoked(key);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Opponent filter
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Chooses whether the opponent list is ignored, an allowlist or a denylist.
+    /// @dev The list is kept when the mode changes.
+    function setOpponentFilterMode(OpponentFilterMode mode) external onlyOwner {
+        opponentFilterMode = mode;
+        emit OpponentFilterModeUpdated(mode);
+    }
+
+    /// @notice Adds or removes opponent wallets or opponent owner addresses from the list.
+    function updateOpponentList(address[] calldata accounts, bool listed) external onlyOwner {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            address account = accounts[i];
+            if (account == address(0)) revert ZeroAddress();
+            bool changed = listed ? opponentList.add(account) : opponentList.remove(account);
+            if (changed) {
+                emit OpponentListUpdated(account, listed);
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Spending limits
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @notice Sets the owner's spending limits for ether (`token` zero) or an ERC-20 token.
+    /// @dev Tighter limits apply at once. Looser ones, including lifting a limit back to
+    /// zero, apply after SPENDING_LIMIT_DELAY; each call replaces any scheduled increase.
+    function setSpendingLimits(address token, SpendingLimits calldata limits) external onlyOwner {
+        SpendingLimits memory current = _syncSpendingLimits(token);
+        SpendingLimits memory immediate = SpendingLimits({
+            maxWager: _tighterLimit(current.maxWager, limits.maxWager),
+            maxReserved: _tighterLimit(current.maxReserved, limits.maxReserved),
+            maxDailyLoss: _tighterLimit(current.maxDailyLoss, limits.maxDailyLoss),
+            maxWeeklyLoss: _tighterLimit(current.maxWeeklyLoss, limits.maxWeeklyLoss)
+        });
+        spendingLimits[token] = immediate;
+        emit SpendingLimitsUpdated(token, immediate);
+
+        if (
+            immediate.maxWager != limits.maxWager ||
+            immediate.maxReserved != limits.maxReserved ||
+            immediate.maxDailyLoss != limits.maxDailyLoss ||
+            immediate.maxWeeklyLoss != limits.maxWeeklyLoss
+        ) {
+            uint64 effectiveAt = uint64(block.timestamp) + SPENDING_LIMIT_DELAY;
+            pendingSpendingLimits[token] = PendingSpendingLimits({limits: limits, effectiveAt: effectiveAt});
+            emit SpendingLimitsIncreaseScheduled(token, limits, effectiveAt);
+        } else {
+            delete pendingSpendingLimits[token];
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // Internal helpers
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /// @dev Owner actions are signed by the owner itself; session keys only cover reservations.
+    function _useOwnerSignature(bytes32 structHash, uint256 nonce, uint256 deadline, bytes calldata signature) private {
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (nonce != ownerActionNonce) revert InvalidNonce();
+        if (!_isOwnerSignature(_hashTypedDataV4(structHash), signature)) revert BadSignature();
+        unchecked {
+            ++ownerActionNonce;
+        }
+    }
+
+    /// @dev The fee comes out of the unreserved balance like any other withdrawal.
+    function _payRelayerFee(uint256 nonce, address relayer, address feeToken, uint256 relayerFee) private {
+        emit OwnerActionRelayed(nonce, relayer, feeToken, relayerFee);
+        if (relayerFee == 0) {
+            return;
+        }
+        if (feeToken == address(0)) {
+            _withdrawEth(relayer, relayerFee);
+        } else {
+            _withdrawTokens(feeToken, relayer, relayerFee);
+        }
+    }
+
+    function _withdrawEth(address recipient, uint256 amount) private {
+        if (recipient == address(0)) revert ZeroAddress();
+        if (amount == 0) revert InvalidAmount();
+        if (amount > _sweepAndGetAvailableEth()) revert InsufficientFunds();
+        emit EthWithdrawn(recipient, amount);
+        Address.sendValue(payable(recipient), amount);
+    }
+
+    function _withdrawTokens(address token, address recipient, uint256 amount) private {
+        if (recipient == address(0)) revert ZeroAddress();
+        if (amount == 0) revert InvalidAmount();
+        if (amount > _sweepAndGetAvailableTokens(token)) revert InsufficientFunds();
+        emit TokensWithdrawn(token, recipient, amount);
+        IERC20(token).safeTransfer(recipient, amount);
+    }
+
+    /// @dev Always clears out expired items, up to the default traversal limit, before
+    /// working out what the owner can withdraw.
+    function _sweepAndGetAvailableEth() private returns (uint256) {
+        _syncReservationEpoch();
+        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+        if (address(this).balance < totalReservedEth) revert InsufficientFunds();
+        return address(this).balance - totalReservedEth;
+    }
+
+    function _sweepAndGetAvailableTokens(address token) private returns (uint256) {
+        if (token == address(0)) revert InvalidToken();
+        _syncReservationEpoch();
+        _releaseExpiredInternal(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+        uint256 tokenBalance = IERC20(token).balanceOf(address(this));
+        uint256 reserved = reservedTokens[reservationEpoch][token];
+        if (tokenBalance < reserved) revert InsufficientFunds();
+        return tokenBalance - reserved;
+    }
+
+    /// @dev Zero is unlimited, so it is the loosest possible value.
+    function _tighterLimit(uint256 current, uint256 requested) private pure returns (uint256) {
+        if (current == 0) return requested;
+        if (requested == 0) return current;
+        return requested < current ? requested : current;
+    }
+}
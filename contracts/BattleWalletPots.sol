@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {BattleWalletBase} from "./BattleWalletBase.sol";
+
+/// @title BattleWalletPots
+/// @notice Multi-player pot reservations of BattleWallet.
+/// @dev Its own storage is never initialized, so calling it directly fails the factory check.
+contract BattleWalletPots is BattleWalletBase {
+    bytes32 private constant RESERVE_POT_TYPEHASH = keccak256(
+        "RESERVE_POT(uint64 gameId,uint256 buyIn,address[] players,uint64[] nonces,address token,uint64 ttl,FeeSplit[] fees,address factory)FeeSplit(address recipient,uint16 basisPoints)"
+    );
+
+    /// @notice Locks this wallet's buy-in for a multi-player pot.
+    /// @dev Stored like a two-player reservation with no opponent, so only the pot
+    /// functions below can settle or cancel it before it expires.
+    function reservePot(
+        PotReserveRequest calldata request,
+        uint64 expiration,
+        bytes calldata walletApproval
+    ) external onlyFactory {
+        if (request.factory != factory) revert InvalidFactory();
+        uint256 index = _identifyPotPlayer(request.players);
+        if (requireApproval) {
+            _verifyPotApprovalSignature(request, walletApproval);
+        }
+        for (uint256 i = 0; i < request.players.length; i++) {
+            if (i != index) {
+                _checkOpponentAllowed(request.players[i]);
+            }
+        }
+        _lockReservation(
+            request.gameId,
+            request.buyIn,
+            0,
+            request.token,
+            address(0),
+            address(0),
+            request.nonces[index],
+            expiration,
+            request.fees
+        );
+        potPlayers[request.gameId] = keccak256(abi.encodePacked(request.players));
+    }
+
+    /// @notice Pays this wallet's buy-in into the factory, which distributes the pot.
+    /// @param playersHash keccak256 of the pot's packed player list, checked against the reservation
+    /// @param payout what the factory pays back to this wallet, used for the record and loss limits
+    function settlePot(
+        uint64 gameId,
+        bytes32 playersHash,
+        uint256 payout
+    ) external onlyFactory returns (address token, uint256 buyIn) {
+        Reservation storage res = _activePotReservation(gameId, playersHash);
+        if (!(block.timestamp < res.expiration)) revert ReservationHasExpired();
+        token = res.token;
+        buyIn = res.amount;
+
+        emit PotSettled(gameId, buyIn, payout, token);
+        res.active = false;
+        res.settled = true;
+        unchecked {
+            if (payout != 0) {
+                ++totalWins;
+            } else {
+                ++totalLosses;
+            }
+        }
+        _releaseReserved(token, buyIn);
+        _recordNetLoss(token, int256(buyIn) - int256(payout));
+        _transferAsset(token, factory, buyIn);
+    }
+
+    /// @notice Releases this wallet's buy-in for a pot the approver cancelled.
+    function cancelPot(uint64 gameId, bytes32 playersHash) external onlyFactory {
+        Reservation storage res = _activePotReservation(gameId, playersHash);
+        _releaseReserved(res.token, res.amount);
+        res.active = false;
+        emit ReservationCancelled(gameId);
+    }
+
+    function _identifyPotPlayer(address[] calldata players) private view returns (uint256) {
+        for (uint256 i = 0; i < players.length; i++) {
+            if (players[i] == address(this)) {
+                return i;
+            }
+        }
+        revert AddressMismatch();
+    }
+
+    function _activePotReservation(uint64 gameId, bytes32 playersHash) private returns (Reservation storage res) {
+        _syncReservationEpoch();
+        res = reservations[gameId];
+        if (!_isCurrent(res) || !res.active) revert GameNotFound();
+        if (res.opponent != address(0) || potPlayers[gameId] != playersHash) revert NotPotReservation();
+    }
+
+    function _verifyPotApprovalSignature(PotReserveRequest calldata request, bytes calldata signature) private {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                RESERVE_POT_TYPEHASH,
+                request.gameId,
+                request.buyIn,
+                keccak256(abi.encodePacked(request.players)),
+                keccak256(abi.encodePacked(request.nonces)),
+                request.token,
+                request.ttl,
+                _hashFees(request.fees),
+                request.factory
+            )
+        );
+        address sessionKey = _recoverApprovalSigner(_hashTypedDataV4(structHash), signature);
+        if (sessionKey != address(0)) {
+            // a pot has no single opponent, so keys restricted to one opponent are rejected
+            _useSessionKey(sessionKey, request.gameId, request.buyIn, request.token, address(0), request.fees);
+        }
+    }
+}
@@ -6,6 +6,7 @@ import {ERC1967Utils} from "@openzeppelin/contracts/proxy/ERC1967/ERC1967Utils.s
 import {StorageSlot} from "@openzeppelin/contracts/utils/StorageSlot.sol";
 import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 
 interface IBattleWalletMinimal {
     function owner() external view returns (address);
@@ -87,8 +88,15 @@ contract BattleWalletProxy is ERC1967Proxy, EIP712 {
         );
         bytes32 digest = _hashTypedDataV4(structHash);
 
-        address recovered = ECDSA.recover(digest, ownerSignature);
-        if (recovered != walletOwner) revert InvalidSignature();
+        // owners with code, such as a Safe, are checked through ERC-1271
+        if (walletOwner.code.length != 0) {
+            if (!SignatureChecker.isValidERC1271SignatureNow(walletOwner, digest, ownerSignature)) {
+                revert InvalidSignature();
+            }
+        } else {
+            address recovered = ECDSA.recover(digest, ownerSignature);
+            if (recovered != walletOwner) revert InvalidSignature();
+        }
 
         StorageSlot.getUint256Slot(_UPGRADE_NONCE_SLOT).value = currentNonce + 1;
         ERC1967Utils.upgradeToAndCall(newImplementation, data);
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+
+/// @notice Test smart-account owner that accepts ERC-1271 signatures from a single signer key.
+contract ERC1271Owner {
+    bytes4 private constant MAGIC_VALUE = 0x1626ba7e;
+
+    address public immutable signer;
+
+    constructor(address signer_) {
+        signer = signer_;
+    }
+
+    receive() external payable {}
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == signer) {
+            return MAGIC_VALUE;
+        }
+        return 0xffffffff;
+    }
+
+    /// @notice Lets the signer act as the account, e.g. to call owner-only wallet functions.
+    function execute(address target, uint256 value, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == signer, "ERC1271Owner: caller is not the signer");
+        return Address.functionCallWithValue(target, data, value);
+    }
+}
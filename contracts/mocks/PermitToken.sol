@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+contract PermitToken is ERC20, ERC20Permit {
+    constructor(uint256 initialSupply, address recipient) ERC20("Permit Token", "PERMIT") ERC20Permit("Permit Token") {
+        _mint(recipient, initialSupply);
+    }
+}
@@ -9,8 +9,10 @@ module.exports = {
   solidity: {
       version: "0.8.30",
       settings: {
-          optimizer: { enabled: true, runs: 10000 },
+          optimizer: { enabled: true, runs: 200 },
           viaIR: true,
+          // OpenZeppelin's SignatureChecker relies on mcopy
+          evmVersion: "cancun",
       },
   },
   etherscan: {
@@ -18,7 +20,6 @@ module.exports = {
   },    
   networks: {
     hardhat: {
-      allowUnlimitedContractSize: true,
       initialBaseFeePerGas: 0,  // ⬅️ disables base fee (post–London fork)
       gasPrice: 1
     }
@@ -1,31 +1,59 @@
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 const DOMAIN_VERSION = "1";
 
-const RESERVE_TYPES = {
-  RESERVE: [
+const RESERVE_FIELDS = [
+  { name: "gameId", type: "uint64" },
+  { name: "amountPlayer1", type: "uint256" },
+  { name: "amountPlayer2", type: "uint256" },
+  { name: "player1", type: "address" },
+  { name: "player2", type: "address" },
+  { name: "tokenPlayer1", type: "address" },
+  { name: "tokenPlayer2", type: "address" },
+  { name: "ttl", type: "uint64" },
+  { name: "noncePlayer1", type: "uint64" },
+  { name: "noncePlayer2", type: "uint64" },
+  { name: "fees", type: "FeeSplit[]" },
+  { name: "factory", type: "address" },
+];
+
+const FEE_SPLIT_FIELDS = [
+  { name: "recipient", type: "address" },
+  { name: "basisPoints", type: "uint16" },
+];
+
+// wallet owner approvals
+const RESERVE_TYPES = { RESERVE: RESERVE_FIELDS, FeeSplit: FEE_SPLIT_FIELDS };
+
+// factory messages also carry the factory's signatureEpoch
+const FACTORY_RESERVE_TYPES = {
+  RESERVE: [...RESERVE_FIELDS, { name: "epoch", type: "uint64" }],
+  FeeSplit: FEE_SPLIT_FIELDS,
+};
+
+const CANCEL_TYPES = {
+  CANCEL: [
     { name: "gameId", type: "uint64" },
-    { name: "amount", type: "uint256" },
-    { name: "player1", type: "address" },
-    { name: "player2", type: "address" },
-    { name: "isToken", type: "bool" },
-    { name: "noncePlayer1", type: "uint64" },
-    { name: "noncePlayer2", type: "uint64" },
-    { name: "feeWallet", type: "address" },
-    { name: "feeBasisPoints", type: "uint16" },
+    { name: "walletOne", type: "address" },
+    { name: "walletTwo", type: "address" },
     { name: "factory", type: "address" },
+    { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
   ],
 };
 
-const CANCEL_TYPES = {
-  CANCEL: [
+const DRAW_TYPES = {
+  DRAW: [
     { name: "gameId", type: "uint64" },
     { name: "walletOne", type: "address" },
     { name: "walletTwo", type: "address" },
+    { name: "chargeFee", type: "bool" },
     { name: "factory", type: "address" },
     { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
   ],
 };
 
@@ -36,6 +64,7 @@ const RELEASE_EXPIRED_TYPES = {
     { name: "fullTraverse", type: "bool" },
     { name: "maxTraversals", type: "uint64" },
     { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
   ],
 };
 
@@ -46,6 +75,16 @@ const SETTLE_TYPES = {
     { name: "loser", type: "address" },
     { name: "factory", type: "address" },
     { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
+  ],
+};
+
+const BATCH_TYPES = {
+  BATCH: [
+    { name: "root", type: "bytes32" },
+    { name: "factory", type: "address" },
+    { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
   ],
 };
 
@@ -58,6 +97,91 @@ const UPGRADE_TYPES = {
   ],
 };
 
+// owner-signed actions relayed through the factory
+const WITHDRAW_TYPES = {
+  WITHDRAW: [
+    { name: "token", type: "address" },
+    { name: "recipient", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "feeToken", type: "address" },
+    { name: "relayerFee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const SET_APPROVAL_TYPES = {
+  SET_APPROVAL: [
+    { name: "requireApproval", type: "bool" },
+    { name: "feeToken", type: "address" },
+    { name: "relayerFee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// signed by a wallet owner on its own domain to settle without the approver
+const OWNER_SETTLE_TYPES = {
+  SETTLE: [
+    { name: "gameId", type: "uint64" },
+    { name: "winner", type: "address" },
+    { name: "loser", type: "address" },
+    { name: "factory", type: "address" },
+    { name: "expiration", type: "uint64" },
+  ],
+};
+
+// signed by both wallet owners, each on their own wallet's domain
+const MUTUAL_CANCEL_TYPES = {
+  MUTUAL_CANCEL: [
+    { name: "gameId", type: "uint64" },
+    { name: "walletOne", type: "address" },
+    { name: "walletTwo", type: "address" },
+    { name: "factory", type: "address" },
+    { name: "deadline", type: "uint64" },
+    { name: "expiration", type: "uint64" },
+  ],
+};
+
+const RESERVE_POT_FIELDS = [
+  { name: "gameId", type: "uint64" },
+  { name: "buyIn", type: "uint256" },
+  { name: "players", type: "address[]" },
+  { name: "nonces", type: "uint64[]" },
+  { name: "token", type: "address" },
+  { name: "ttl", type: "uint64" },
+  { name: "fees", type: "FeeSplit[]" },
+  { name: "factory", type: "address" },
+];
+
+const RESERVE_POT_TYPES = { RESERVE_POT: RESERVE_POT_FIELDS, FeeSplit: FEE_SPLIT_FIELDS };
+
+const FACTORY_RESERVE_POT_TYPES = {
+  RESERVE_POT: [...RESERVE_POT_FIELDS, { name: "epoch", type: "uint64" }],
+  FeeSplit: FEE_SPLIT_FIELDS,
+};
+
+const SETTLE_POT_TYPES = {
+  SETTLE_POT: [
+    { name: "gameId", type: "uint64" },
+    { name: "wallets", type: "address[]" },
+    { name: "payoutBasisPoints", type: "uint16[]" },
+    { name: "factory", type: "address" },
+    { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
+  ],
+};
+
+const CANCEL_POT_TYPES = {
+  CANCEL_POT: [
+    { name: "gameId", type: "uint64" },
+    { name: "wallets", type: "address[]" },
+    { name: "factory", type: "address" },
+    { name: "expiresAt", type: "uint64" },
+    { name: "epoch", type: "uint64" },
+  ],
+};
+
 const EMPTY_SIG = "0x";
 
 const DEFAULT_SIGNATURE_TTL = 3600n;
@@ -89,7 +213,10 @@ function buildProxyDomain(proxyAddress, chainId) {
   return buildDomain("BattleWalletProxy", proxyAddress, chainId);
 }
 
-async function signReserve(signer, domain, request) {
+async function signReserve(signer, domain, request, epoch = 0n) {
+  if (domain.name === "BattleWalletFactory") {
+    return signer.signTypedData(domain, FACTORY_RESERVE_TYPES, { ...request, epoch });
+  }
   return signer.signTypedData(domain, RESERVE_TYPES, request);
 }
 
@@ -129,6 +256,12 @@ function relayCancelTx(factory, caller, walletOne, walletTwo, gameId, expiresAt,
     .relayCancel(walletOne, walletTwo, gameId, expiresAt, signature);
 }
 
+function relaySettleDrawTx(factory, caller, walletOne, walletTwo, gameId, chargeFee, expiresAt, signature) {
+  return factory
+    .connect(caller)
+    .relaySettleDraw(walletOne, walletTwo, gameId, chargeFee, expiresAt, signature);
+}
+
 function relayReleaseExpiredTx(
   factory,
   caller,
@@ -176,8 +309,10 @@ function withFactory(contractRef, params) {
   if ("player1" in params && "player2" in params) {
     return {
       factory: contractRef.target,
-      feeWallet: ethers.ZeroAddress,
-      feeBasisPoints: 0,
+      tokenPlayer1: ethers.ZeroAddress,
+      tokenPlayer2: ethers.ZeroAddress,
+      ttl: 0,
+      fees: [],
       ...params,
     };
   }
@@ -187,13 +322,26 @@ function withFactory(contractRef, params) {
   };
 }
 
-async function signCancel(signer, domain, gameId, walletOne, walletTwo, expiresAt, factoryOverride) {
+async function signCancel(signer, domain, gameId, walletOne, walletTwo, expiresAt, factoryOverride, epoch = 0n) {
   return signer.signTypedData(domain, CANCEL_TYPES, {
     gameId,
     walletOne,
     walletTwo,
     factory: factoryOverride ?? domain.verifyingContract,
     expiresAt,
+    epoch,
+  });
+}
+
+async function signDraw(signer, domain, gameId, walletOne, walletTwo, chargeFee, expiresAt, factoryOverride, epoch = 0n) {
+  return signer.signTypedData(domain, DRAW_TYPES, {
+    gameId,
+    walletOne,
+    walletTwo,
+    chargeFee,
+    factory: factoryOverride ?? domain.verifyingContract,
+    expiresAt,
+    epoch,
   });
 }
 
@@ -205,6 +353,7 @@ async function signReleaseExpired(
   maxTraversals,
   expiresAt,
   factoryOverride,
+  epoch = 0n,
 ) {
   return signer.signTypedData(domain, RELEASE_EXPIRED_TYPES, {
     wallet: walletAddress,
@@ -212,11 +361,98 @@ async function signReleaseExpired(
     fullTraverse,
     maxTraversals,
     expiresAt,
+    epoch,
+  });
+}
+
+async function signSettlement(signer, domain, request, expiresAt, epoch = 0n) {
+  return signer.signTypedData(domain, SETTLE_TYPES, { ...request, expiresAt, epoch });
+}
+
+async function signBatch(signer, domain, root, expiresAt, epoch = 0n) {
+  return signer.signTypedData(domain, BATCH_TYPES, {
+    root,
+    factory: domain.verifyingContract,
+    expiresAt,
+    epoch,
+  });
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// sorted-pair tree matching OpenZeppelin's MerkleProof; an odd node is carried up unchanged
+function buildMerkleTree(leaves) {
+  const proofs = leaves.map(() => []);
+  let positions = leaves.map((_, index) => index);
+  let level = [...leaves];
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    positions = positions.map((position, leafIndex) => {
+      const sibling = position ^ 1;
+      if (sibling < level.length) proofs[leafIndex].push(level[sibling]);
+      return position >> 1;
+    });
+    level = next;
+  }
+  return { root: level[0], proofs };
+}
+
+function hashReserveLeaf(request, epoch = 0n) {
+  return ethers.TypedDataEncoder.hashStruct("RESERVE", FACTORY_RESERVE_TYPES, { ...request, epoch });
+}
+
+function hashSettleLeaf(request, expiresAt, epoch = 0n) {
+  return ethers.TypedDataEncoder.hashStruct("SETTLE", SETTLE_TYPES, { ...request, expiresAt, epoch });
+}
+
+function hashCancelLeaf(factory, gameId, walletOne, walletTwo, expiresAt, epoch = 0n) {
+  return ethers.TypedDataEncoder.hashStruct("CANCEL", CANCEL_TYPES, {
+    gameId,
+    walletOne,
+    walletTwo,
+    factory: factory.target,
+    expiresAt,
+    epoch,
+  });
+}
+
+async function signMutualCancel(signer, walletAddress, chainId, message) {
+  return signer.signTypedData(buildWalletDomain(walletAddress, chainId), MUTUAL_CANCEL_TYPES, message);
+}
+
+async function signReservePot(signer, domain, request, epoch = 0n) {
+  if (domain.name === "BattleWalletFactory") {
+    return signer.signTypedData(domain, FACTORY_RESERVE_POT_TYPES, { ...request, epoch });
+  }
+  return signer.signTypedData(domain, RESERVE_POT_TYPES, request);
+}
+
+async function signSettlePot(signer, domain, gameId, wallets, payoutBasisPoints, expiresAt, epoch = 0n) {
+  return signer.signTypedData(domain, SETTLE_POT_TYPES, {
+    gameId,
+    wallets,
+    payoutBasisPoints,
+    factory: domain.verifyingContract,
+    expiresAt,
+    epoch,
   });
 }
 
-async function signSettlement(signer, domain, request, expiresAt) {
-  return signer.signTypedData(domain, SETTLE_TYPES, { ...request, expiresAt });
+async function signCancelPot(signer, domain, gameId, wallets, expiresAt, epoch = 0n) {
+  return signer.signTypedData(domain, CANCEL_POT_TYPES, {
+    gameId,
+    wallets,
+    factory: domain.verifyingContract,
+    expiresAt,
+    epoch,
+  });
 }
 
 async function signUpgrade(signer, domain, walletAddress, newImplementation, data, nonce) {
@@ -251,13 +487,14 @@ describe("BattleWallet (EVM)", () => {
     await factory.waitForDeployment();
 
     await factory.connect(factoryOwner).setReservationTtl(60);
+    await factory.connect(factoryOwner).setFeeRecipient(feeWallet.address, true);
 
     const walletAddress = await factory.predictBattleWalletAddress(owner.address);
     await factory.deployBattleWallet(owner.address);
     const wallet = await ethers.getContractAt("BattleWallet", walletAddress);
 
     const opponentWalletAddress = await factory.predictBattleWalletAddress(opponent.address);
-    await factory.deployBattleWallet(opponent.address);
+    await factory.connect(opponent).deployBattleWallet(opponent.address);
     const opponentWallet = await ethers.getContractAt("BattleWallet", opponentWalletAddress);
 
     await owner.sendTransaction({ to: wallet.target, value: ethers.parseEther("100") });
@@ -280,6 +517,95 @@ describe("BattleWallet (EVM)", () => {
     };
   }
 
+  // a reserve request for a game between the two fixture wallets, `wallet` as player one, with
+  // each side staking `amount` in ether; nonces are read from the wallets unless overridden
+  async function buildGame(fixture, gameId, amount = ethers.parseEther("1"), overrides = {}) {
+    const { factory, wallet, walletAddress, opponentWallet, opponentWalletAddress } = fixture;
+    return withFactory(factory, {
+      gameId,
+      amountPlayer1: amount,
+      amountPlayer2: amount,
+      player1: walletAddress,
+      player2: opponentWalletAddress,
+      noncePlayer1: await wallet.getCurrentNonce(),
+      noncePlayer2: await opponentWallet.getCurrentNonce(),
+      ...overrides,
+    });
+  }
+
+  // relays `request` from the wallet owner with the fixture approver's signature; when given,
+  // `approvalSigner` also signs player one's wallet approval
+  async function reserveGameTx(fixture, request, approvalSigner) {
+    const { chainId, factory, adminSigner, owner } = fixture;
+    const signature = await signReserve(adminSigner, buildFactoryDomain(factory, chainId), request);
+    const approvals = {};
+    if (approvalSigner) {
+      const walletDomain = buildWalletDomain(request.player1, chainId);
+      approvals[request.player1] = await signReserve(approvalSigner, walletDomain, request);
+    }
+    return relayReserveTx(factory, owner, request, signature, approvals);
+  }
+
+  // relays an approver-signed settlement of `gameId`, lost by `wallet` unless overridden
+  async function settleGameTx(fixture, gameId, winner = fixture.opponentWalletAddress, loser = fixture.walletAddress) {
+    const { chainId, factory, adminSigner, owner } = fixture;
+    const settlement = withFactory(factory, { gameId, winner, loser });
+    const expiresAt = await buildExpiration();
+    const signature = await signSettlement(adminSigner, buildFactoryDomain(factory, chainId), settlement, expiresAt);
+    return relaySettleTx(factory, owner, settlement, expiresAt, signature);
+  }
+
+  // a pot request over `fixture.players` with each wallet buying in with `buyIn` in ether; nonces
+  // are read from `fixture.wallets` unless overridden
+  async function buildPot(fixture, gameId, buyIn = ethers.parseEther("10"), overrides = {}) {
+    const { factory, players, wallets } = fixture;
+    return {
+      gameId,
+      buyIn,
+      players,
+      nonces: await Promise.all(wallets.map((wallet) => wallet.getCurrentNonce())),
+      token: ethers.ZeroAddress,
+      ttl: 0n,
+      fees: [],
+      factory: factory.target,
+      ...overrides,
+    };
+  }
+
+  // relays a pot `request` with the fixture approver's signature and no owner approvals
+  async function reservePotTx(fixture, request) {
+    const { chainId, factory, adminSigner, owner } = fixture;
+    const signature = await signReservePot(adminSigner, buildFactoryDomain(factory, chainId), request);
+    return factory.connect(owner).relayReservePot(request, signature, request.players.map(() => EMPTY_SIG));
+  }
+
+  // relays an approver-signed settlement of pot `gameId` paying `payouts` in basis points to `players`
+  async function settlePotTx(fixture, gameId, players, payouts) {
+    const { chainId, factory, adminSigner, owner } = fixture;
+    const expiresAt = await buildExpiration();
+    const factoryDomain = buildFactoryDomain(factory, chainId);
+    const signature = await signSettlePot(adminSigner, factoryDomain, gameId, players, payouts, expiresAt);
+    return factory.connect(owner).relaySettlePot(gameId, players, payouts, expiresAt, signature);
+  }
+
+  // an open ether game between the two fixture wallets, lost by `wallet`
+  async function reservedGameFixture() {
+    const fixture = await deployFixture();
+    const { factory, walletAddress, opponentWalletAddress, feeWallet } = fixture;
+    const request = await buildGame(fixture, await generateGameId(70n), ethers.parseEther("10"), {
+      fees: [{ recipient: feeWallet.address, basisPoints: 1000 }],
+    });
+    await reserveGameTx(fixture, request);
+    const settlement = withFactory(factory, {
+      gameId: request.gameId,
+      winner: opponentWalletAddress,
+      loser: walletAddress,
+    });
+    const [, , expiration] = await fixture.wallet.getReservationDetails(request.gameId);
+    const settleMessage = { ...settlement, expiration };
+    return { ...fixture, request, settlement, settleMessage, expiration };
+  }
+
   async function factoryFixture() {
     const [owner, factoryOwner, adminSigner] = await ethers.getSigners();
     const { chainId } = await ethers.provider.getNetwork();
@@ -317,6 +643,23 @@ describe("BattleWallet (EVM)", () => {
       expect(code).to.not.equal("0x");
     });
 
+    it("only lets the owner or the factory owner deploy a wallet", async () => {
+      const { factory, wallet, owner, factoryOwner, user, stranger } = await loadFixture(deployFixture);
+      await wallet.connect(owner).transferOwnership(user.address);
+      // a stranger cannot hand the pending owner a wallet that would block the transfer
+      await expect(factory.connect(stranger).deployBattleWallet(user.address)).to.be.revertedWithCustomError(
+        factory,
+        "Unauthorized"
+      );
+      await wallet.connect(user).acceptOwnership();
+      expect(await factory.walletOf(user.address)).to.equal(wallet.target);
+
+      const strangerWalletAddress = await factory.predictBattleWalletAddress(stranger.address);
+      await expect(factory.connect(factoryOwner).deployBattleWallet(stranger.address))
+        .to.emit(factory, "BattleWalletDeployed")
+        .withArgs(stranger.address, strangerWalletAddress, anyValue);
+    });
+
     it("double deploment of a battle wallet will revert", async () => {
       const { factory, walletImplementation, owner } = await loadFixture(factoryFixture);
       const predicted = await factory.predictBattleWalletAddress(owner.address);
@@ -331,15 +674,33 @@ describe("BattleWallet (EVM)", () => {
       expect(code).to.not.equal("0x");
     });
 
-    it("initializes the factory with a shared token", async () => {
-      const { factory, owner, token } = await loadFixture(factoryFixture);
-      const predicted = await factory.predictBattleWalletAddress(owner.address);
-      await factory.deployBattleWallet(owner.address);
-      const wallet = await ethers.getContractAt("BattleWallet", predicted);
+    it("allowlists the constructor token for wagers", async () => {
+      const { factory, token } = await loadFixture(factoryFixture);
+      expect(await factory.allowedTokens(token.target)).to.equal(true);
+      expect(await factory.allowedTokens(ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it("lets only the owner manage the wager token allowlist", async () => {
+      const { factory, factoryOwner, owner, token } = await loadFixture(factoryFixture);
+      const Token = await ethers.getContractFactory("TestToken");
+      const secondToken = await Token.deploy("Second Token", "TWO", 6, 1_000_000n, owner.address);
+      await secondToken.waitForDeployment();
 
-      expect(await factory.token()).to.equal(token.target);
-      expect(await wallet.token()).to.equal(token.target);
-      expect(await wallet.tokenSet()).to.equal(true);
+      await expect(factory.connect(owner).setWagerToken(secondToken.target, true))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(owner.address);
+      await expect(factory.connect(factoryOwner).setWagerToken(ethers.ZeroAddress, true))
+        .to.be.revertedWithCustomError(factory, "ZeroAddress");
+
+      await expect(factory.connect(factoryOwner).setWagerToken(secondToken.target, true))
+        .to.emit(factory, "WagerTokenUpdated")
+        .withArgs(secondToken.target, true);
+      expect(await factory.allowedTokens(secondToken.target)).to.equal(true);
+
+      await expect(factory.connect(factoryOwner).setWagerToken(token.target, false))
+        .to.emit(factory, "WagerTokenUpdated")
+        .withArgs(token.target, false);
+      expect(await factory.allowedTokens(token.target)).to.equal(false);
     });
 
     it("allows deployment even if the token address is zero", async () => {
@@ -360,7 +721,7 @@ describe("BattleWallet (EVM)", () => {
       const predicted = await factory.predictBattleWalletAddress(owner.address);
       await factory.deployBattleWallet(owner.address);
       const wallet = await ethers.getContractAt("BattleWallet", predicted);
-      expect(await wallet.tokenSet()).to.equal(false);
+      expect(await wallet.owner()).to.equal(owner.address);
     });
 
     it("updates the factory owner through the two-step transfer", async () => {
@@ -401,10 +762,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(101n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -421,20 +782,33 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(1n),
-        amount: ethers.parseEther("2.5"),
+        amountPlayer1: ethers.parseEther("2.5"),
+        amountPlayer2: ethers.parseEther("2.5"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const signature = await signReserve(adminSigner, factoryDomain, request);
-      await expect(relayReserveTx(factory, stranger, request, signature))
+      const tx = relayReserveTx(factory, stranger, request, signature);
+      await expect(tx)
         .to.emit(wallet, "Reserved")
-        .withArgs(request.gameId, opponentWalletAddress, request.amount, false);
+        .withArgs(
+          request.gameId,
+          opponentWalletAddress,
+          request.amountPlayer1,
+          request.amountPlayer2,
+          ethers.ZeroAddress,
+          ethers.ZeroAddress,
+          anyValue,
+          []
+        );
       bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
-      const totals = await wallet.getTotalReserved();
-      expect(totals[0]).to.equal(request.amount);
+      const reservedBlock = await ethers.provider.getBlock((await (await tx).wait()).blockNumber);
+      const [, , expiration] = await wallet.getReservationDetails(request.gameId);
+      expect(expiration).to.equal(BigInt(reservedBlock.timestamp) + (await factory.reservationTtl()));
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
+      expect(totals[0]).to.equal(request.amountPlayer1);
       expect(totals[1]).to.equal(0n);
 
       const [, , , , found] = await wallet.getReservationDetails(request.gameId);
@@ -447,10 +821,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(2n),
-        amount: ethers.parseEther("3"),
+        amountPlayer1: ethers.parseEther("3"),
+        amountPlayer2: ethers.parseEther("3"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -460,10 +834,10 @@ describe("BattleWallet (EVM)", () => {
 
       const dupeRequest = withFactory(factory, {
         gameId: request.gameId,
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
 
@@ -480,10 +854,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(30n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -503,10 +877,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(32n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const bogusFactory = ethers.Wallet.createRandom().address;
@@ -524,10 +898,10 @@ describe("BattleWallet (EVM)", () => {
         await loadFixture(deployFixture);
       const request = withFactory(factory, {
         gameId: await generateGameId(31n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         noncePlayer1: 1n,
         noncePlayer2: 0n,
       });
@@ -545,10 +919,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(3n),
-        amount: ethers.parseEther("1000"),
+        amountPlayer1: ethers.parseEther("1000"),
+        amountPlayer2: ethers.parseEther("1000"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -557,17 +931,17 @@ describe("BattleWallet (EVM)", () => {
     });
 
     it("rejects reservations with excessive fee basis points", async () => {
-      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress } =
+      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress, feeWallet } =
         await loadFixture(deployFixture);
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(305n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        feeBasisPoints: 2501,
+        fees: [{ recipient: feeWallet.address, basisPoints: 2501 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const signature = await signReserve(adminSigner, factoryDomain, request);
@@ -583,12 +957,12 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(306n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        feeBasisPoints: 500,
+        fees: [{ recipient: ethers.ZeroAddress, basisPoints: 500 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const signature = await signReserve(adminSigner, factoryDomain, request);
@@ -598,10 +972,167 @@ describe("BattleWallet (EVM)", () => {
       );
     });
 
+    it("caps the number of fee recipients and their combined share", async () => {
+      const { chainId, wallet, walletAddress, factory, factoryOwner, adminSigner, owner, opponentWalletAddress, feeWallet } =
+        await loadFixture(deployFixture);
+      await factory.connect(factoryOwner).setFeeRecipient(owner.address, true);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const base = {
+        gameId: 307n,
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+      };
+      const tooMany = withFactory(factory, {
+        ...base,
+        fees: Array.from({ length: 6 }, () => ({ recipient: feeWallet.address, basisPoints: 100 })),
+      });
+      await expect(relayReserveTx(factory, owner, tooMany, await signReserve(adminSigner, factoryDomain, tooMany)))
+        .to.be.revertedWithCustomError(wallet, "TooManyFeeRecipients");
+
+      const overCap = withFactory(factory, {
+        ...base,
+        fees: [
+          { recipient: feeWallet.address, basisPoints: 2000 },
+          { recipient: owner.address, basisPoints: 501 },
+        ],
+      });
+      await expect(relayReserveTx(factory, owner, overCap, await signReserve(adminSigner, factoryDomain, overCap)))
+        .to.be.revertedWithCustomError(wallet, "InvalidFeeBasisPoints");
+    });
+
+    it("only pays fee recipients allowlisted by the factory", async () => {
+      const { chainId, wallet, walletAddress, factory, factoryOwner, adminSigner, owner, opponentWalletAddress, user } =
+        await loadFixture(deployFixture);
+      const request = withFactory(factory, {
+        gameId: 309n,
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+        fees: [{ recipient: user.address, basisPoints: 100 }],
+      });
+      const signature = await signReserve(adminSigner, buildFactoryDomain(factory, chainId), request);
+      await expect(relayReserveTx(factory, owner, request, signature))
+        .to.be.revertedWithCustomError(wallet, "FeeRecipientNotAllowed");
+
+      await expect(factory.connect(user).setFeeRecipient(user.address, true))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+      await expect(factory.connect(factoryOwner).setFeeRecipient(user.address, true))
+        .to.emit(factory, "FeeRecipientUpdated")
+        .withArgs(user.address, true);
+      await expect(relayReserveTx(factory, owner, request, signature)).to.emit(wallet, "Reserved");
+    });
+
+    it("lowers the fee cap at once and raises it only after the delay", async () => {
+      const { chainId, wallet, walletAddress, factory, factoryOwner, adminSigner, owner, opponentWalletAddress, feeWallet } =
+        await loadFixture(deployFixture);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const reserveWithFee = async (gameId, nonce, basisPoints) => {
+        const request = withFactory(factory, {
+          gameId,
+          amountPlayer1: ethers.parseEther("1"),
+          amountPlayer2: ethers.parseEther("1"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          noncePlayer1: nonce,
+          noncePlayer2: nonce,
+          fees: [{ recipient: feeWallet.address, basisPoints }],
+        });
+        return relayReserveTx(factory, owner, request, await signReserve(adminSigner, factoryDomain, request));
+      };
+      expect(await factory.maxFeeBasisPoints()).to.equal(2500n);
+      await expect(factory.connect(factoryOwner).setMaxFeeBasisPoints(10_001))
+        .to.be.revertedWithCustomError(factory, "InvalidFeeCap");
+
+      await expect(factory.connect(factoryOwner).setMaxFeeBasisPoints(1000))
+        .to.emit(factory, "FeeCapUpdated")
+        .withArgs(1000n);
+      await expect(reserveWithFee(310n, 0n, 1001)).to.be.revertedWithCustomError(wallet, "InvalidFeeBasisPoints");
+      await reserveWithFee(310n, 0n, 1000);
+
+      const tx = factory.connect(factoryOwner).setMaxFeeBasisPoints(3000);
+      await expect(tx).to.emit(factory, "FeeCapIncreaseScheduled");
+      await expect(tx).to.not.emit(factory, "FeeCapUpdated");
+      const delay = await factory.FEE_CAP_DELAY();
+      const [active, pending, effectiveAt] = await factory.getFeeCap();
+      expect([active, pending, effectiveAt]).to.deep.equal([1000n, 3000n, BigInt(await time.latest()) + delay]);
+      await expect(reserveWithFee(311n, 1n, 3000)).to.be.revertedWithCustomError(wallet, "InvalidFeeBasisPoints");
+
+      await time.increaseTo(effectiveAt);
+      expect(await factory.maxFeeBasisPoints()).to.equal(3000n);
+      await reserveWithFee(311n, 1n, 3000);
+    });
+
+    it("pays every fee recipient its share on settlement", async () => {
+      const {
+        chainId,
+        wallet,
+        walletAddress,
+        factory,
+        owner,
+        adminSigner,
+        opponentWalletAddress,
+        feeWallet,
+        factoryOwner,
+        user,
+        stranger,
+      } = await loadFixture(deployFixture);
+      await factory.connect(factoryOwner).setFeeRecipient(user.address, true);
+      await factory.connect(factoryOwner).setFeeRecipient(stranger.address, true);
+      const fees = [
+        { recipient: feeWallet.address, basisPoints: 500 },
+        { recipient: user.address, basisPoints: 300 },
+        { recipient: stranger.address, basisPoints: 200 },
+      ];
+      const request = withFactory(factory, {
+        gameId: 308n,
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+        fees,
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      await relayReserveTx(factory, owner, request, await signReserve(adminSigner, factoryDomain, request));
+      expect((await wallet.getReservationFees(308n)).map(([recipient, basisPoints]) => ({ recipient, basisPoints })))
+        .to.deep.equal(fees.map(({ recipient, basisPoints }) => ({ recipient, basisPoints: BigInt(basisPoints) })));
+
+      const settlement = withFactory(factory, { gameId: 308n, winner: opponentWalletAddress, loser: walletAddress });
+      const expiresAt = await buildExpiration();
+      const settleSig = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt);
+      const before = await ethers.provider.getBalance(opponentWalletAddress);
+
+      const tx = relaySettleTx(factory, owner, settlement, expiresAt, settleSig);
+      await expect(tx)
+        .to.emit(wallet, "FeePaid")
+        .withArgs(308n, feeWallet.address, ethers.parseEther("0.5"), ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(wallet, "FeePaid")
+        .withArgs(308n, user.address, ethers.parseEther("0.3"), ethers.ZeroAddress);
+      await expect(tx)
+        .to.emit(wallet, "FeePaid")
+        .withArgs(308n, stranger.address, ethers.parseEther("0.2"), ethers.ZeroAddress);
+
+      expect((await ethers.provider.getBalance(opponentWalletAddress)) - before).to.equal(ethers.parseEther("9"));
+      const accrued = await Promise.all(fees.map((fee) => factory.accruedFees(fee.recipient, ethers.ZeroAddress)));
+      expect(accrued).to.deep.equal([ethers.parseEther("0.5"), ethers.parseEther("0.3"), ethers.parseEther("0.2")]);
+      expect(await factory.totalAccruedFees(ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+    });
+
     it("settles when the wallet loses and pays winner and fee", async () => {
       const {
         chainId,
         wallet,
+        opponentWallet,
         walletAddress,
         factory,
         owner,
@@ -614,13 +1145,12 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(4n),
-        amount: ethers.parseEther("10"),
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        feeWallet: feeWallet.address,
-        feeBasisPoints: 1000,
+        fees: [{ recipient: feeWallet.address, basisPoints: 1000 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -636,20 +1166,35 @@ describe("BattleWallet (EVM)", () => {
       const settleSig = await signSettlement(adminSigner, factoryDomain, settlement, settlementExpiresAt);
 
       const beforeOpponent = await ethers.provider.getBalance(opponentWalletAddress);
-      const beforeFee = await ethers.provider.getBalance(feeWallet.address);
 
-      // event ReservationSettled(uint128 indexed gameId, address indexed winner, address indexed loser, uint256 amount, bool isToken);
       await expect(relaySettleTx(factory, stranger, settlement, settlementExpiresAt, settleSig))
         .to.emit(wallet, "ReservationSettled")
-        .withArgs(settlement.gameId, settlement.winner, settlement.loser, request.amount, false);
+        .withArgs(
+          settlement.gameId,
+          settlement.winner,
+          settlement.loser,
+          request.amountPlayer1,
+          ethers.ZeroAddress,
+          ethers.parseEther("1"),
+          ethers.parseEther("9")
+        )
+        .and.to.emit(opponentWallet, "ReservationSettled")
+        .withArgs(
+          settlement.gameId,
+          settlement.winner,
+          settlement.loser,
+          request.amountPlayer1,
+          ethers.ZeroAddress,
+          ethers.parseEther("1"),
+          ethers.parseEther("9")
+        );
 
       const afterOpponent = await ethers.provider.getBalance(opponentWalletAddress);
-      const afterFee = await ethers.provider.getBalance(feeWallet.address);
 
       expect(afterOpponent - beforeOpponent).to.equal(ethers.parseEther("9"));
-      expect(afterFee - beforeFee).to.equal(ethers.parseEther("1"));
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
 
-      const totals = await wallet.getTotalReserved();
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totals[0]).to.equal(0n);
     });
 
@@ -672,10 +1217,10 @@ describe("BattleWallet (EVM)", () => {
 
       const winRequest = withFactory(factory, {
         gameId: await generateGameId(41n),
-        amount: ethers.parseEther("3"),
+        amountPlayer1: ethers.parseEther("3"),
+        amountPlayer2: ethers.parseEther("3"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const winReserveSig = await signReserve(adminSigner, factoryDomain, winRequest);
@@ -697,10 +1242,10 @@ describe("BattleWallet (EVM)", () => {
 
       const lossRequest = withFactory(factory, {
         gameId: await generateGameId(42n),
-        amount: ethers.parseEther("2"),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const lossReserveSig = await signReserve(adminSigner, factoryDomain, lossRequest);
@@ -722,10 +1267,10 @@ describe("BattleWallet (EVM)", () => {
 
       const cancelRequest = withFactory(factory, {
         gameId: await generateGameId(43n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const cancelReserveSig = await signReserve(adminSigner, factoryDomain, cancelRequest);
@@ -756,51 +1301,276 @@ describe("BattleWallet (EVM)", () => {
       expect(postCancelRecord[1]).to.equal(1n);
     });
 
-    it("rejects settlement when addresses do not match reservation", async () => {
+    it("locks and pays out asymmetric stakes", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, opponentWallet, opponentWalletAddress, feeWallet } =
+        await loadFixture(deployFixture);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const request = withFactory(factory, {
+        gameId: await generateGameId(46n),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("3"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+        fees: [{ recipient: feeWallet.address, basisPoints: 1000 }],
+      });
+
+      const zeroSide = { ...request, amountPlayer1: 0n };
+      const zeroSideSig = await signReserve(adminSigner, factoryDomain, zeroSide);
+      await expect(relayReserveTx(factory, owner, zeroSide, zeroSideSig))
+        .to.be.revertedWithCustomError(opponentWallet, "InvalidAmount");
+
+      const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+      await expect(relayReserveTx(factory, owner, request, reserveSig))
+        .to.emit(wallet, "Reserved")
+        .withArgs(
+          request.gameId,
+          opponentWalletAddress,
+          request.amountPlayer1,
+          request.amountPlayer2,
+          ethers.ZeroAddress,
+          ethers.ZeroAddress,
+          anyValue,
+          [[feeWallet.address, 1000n]]
+        )
+        .and.to.emit(opponentWallet, "Reserved")
+        .withArgs(
+          request.gameId,
+          walletAddress,
+          request.amountPlayer2,
+          request.amountPlayer1,
+          ethers.ZeroAddress,
+          ethers.ZeroAddress,
+          anyValue,
+          [[feeWallet.address, 1000n]]
+        );
+      expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(ethers.parseEther("1"));
+      expect((await opponentWallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(ethers.parseEther("3"));
+      const details = await opponentWallet.getReservationDetails(request.gameId);
+      expect(details.amount).to.equal(ethers.parseEther("3"));
+      expect(details.opponentAmount).to.equal(ethers.parseEther("1"));
+
+      // the underdog wins the favourite's 3 ETH stake, less the 10% fee
+      const settlement = withFactory(factory, {
+        gameId: request.gameId,
+        winner: walletAddress,
+        loser: opponentWalletAddress,
+      });
+      const expiresAt = await buildExpiration();
+      const settleSig = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt);
+      const before = await ethers.provider.getBalance(walletAddress);
+      await expect(relaySettleTx(factory, owner, settlement, expiresAt, settleSig))
+        .to.emit(wallet, "ReservationSettled")
+        .withArgs(request.gameId, walletAddress, opponentWalletAddress, ethers.parseEther("3"), ethers.ZeroAddress, ethers.parseEther("0.3"), ethers.parseEther("2.7"))
+        .and.to.emit(opponentWallet, "ReservationSettled")
+        .withArgs(request.gameId, walletAddress, opponentWalletAddress, ethers.parseEther("3"), ethers.ZeroAddress, ethers.parseEther("0.3"), ethers.parseEther("2.7"));
+      expect((await ethers.provider.getBalance(walletAddress)) - before).to.equal(ethers.parseEther("2.7"));
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.3"));
+      expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+    });
+
+    it("settles a draw and charges each side the stored fee", async () => {
       const {
         chainId,
         wallet,
         walletAddress,
         factory,
-        adminSigner,
         owner,
+        adminSigner,
+        opponentWallet,
         opponentWalletAddress,
         feeWallet,
-      } =
-        await loadFixture(deployFixture);
+        stranger,
+      } = await loadFixture(deployFixture);
       const nonces = new Map();
       const request = withFactory(factory, {
-        gameId: await generateGameId(5n),
-        amount: ethers.parseEther("5"),
+        gameId: await generateGameId(44n),
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        fees: [{ recipient: feeWallet.address, basisPoints: 500 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
       await relayReserveTx(factory, owner, request, reserveSig);
-      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
-      const wrongFactorySettlement = withFactory(factory, {
-        gameId: request.gameId,
-        winner: opponentWalletAddress,
-        loser: opponentWalletAddress,
-      });
-      const wrongFactoryExpiresAt = await buildExpiration();
-      const settleSigWrongFactory = await signSettlement(
+
+      const expiresAt = await buildExpiration();
+      const drawSig = await signDraw(
         adminSigner,
         factoryDomain,
-        wrongFactorySettlement,
-        wrongFactoryExpiresAt,
+        request.gameId,
+        walletAddress,
+        opponentWalletAddress,
+        true,
+        expiresAt,
       );
+
+      const beforeWallet = await ethers.provider.getBalance(walletAddress);
+      const beforeOpponent = await ethers.provider.getBalance(opponentWalletAddress);
+      const fee = ethers.parseEther("0.5");
+
       await expect(
-        relaySettleTx(factory, owner, wrongFactorySettlement, wrongFactoryExpiresAt, settleSigWrongFactory)
-      ).to.be.revertedWithCustomError(wallet, "AddressMismatch");
+        relaySettleDrawTx(factory, stranger, walletAddress, opponentWalletAddress, request.gameId, true, expiresAt, drawSig)
+      )
+        .to.emit(wallet, "ReservationDrawn")
+        .withArgs(request.gameId, opponentWalletAddress, request.amountPlayer1, fee, ethers.ZeroAddress)
+        .and.to.emit(opponentWallet, "ReservationDrawn")
+        .withArgs(request.gameId, walletAddress, request.amountPlayer1, fee, ethers.ZeroAddress);
 
-      const randomWallet = await ethers.Wallet.createRandom();
-      const settlementExternalLoser = withFactory(factory, {
-        gameId: request.gameId,
-        winner: opponentWalletAddress,
+      expect(beforeWallet - (await ethers.provider.getBalance(walletAddress))).to.equal(fee);
+      expect(beforeOpponent - (await ethers.provider.getBalance(opponentWalletAddress))).to.equal(fee);
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(fee * 2n);
+
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
+      expect(totals[0]).to.equal(0n);
+      const [, , , , found] = await wallet.getReservationDetails(request.gameId);
+      expect(found).to.equal(false);
+
+      expect(await wallet.getBattleRecord()).to.deep.equal([0n, 0n]);
+      expect(await wallet.getDrawCount()).to.equal(1n);
+      expect(await opponentWallet.getDrawCount()).to.equal(1n);
+    });
+
+    it("settles a draw without a fee when not requested", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, opponentWalletAddress, feeWallet } =
+        await loadFixture(deployFixture);
+      const nonces = new Map();
+      const request = withFactory(factory, {
+        gameId: await generateGameId(45n),
+        amountPlayer1: ethers.parseEther("4"),
+        amountPlayer2: ethers.parseEther("4"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        fees: [{ recipient: feeWallet.address, basisPoints: 1000 }],
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+      await relayReserveTx(factory, owner, request, reserveSig);
+
+      const expiresAt = await buildExpiration();
+      const drawSig = await signDraw(
+        adminSigner,
+        factoryDomain,
+        request.gameId,
+        walletAddress,
+        opponentWalletAddress,
+        false,
+        expiresAt,
+      );
+      const beforeWallet = await ethers.provider.getBalance(walletAddress);
+      const beforeFee = await ethers.provider.getBalance(feeWallet.address);
+      await expect(
+        relaySettleDrawTx(factory, owner, walletAddress, opponentWalletAddress, request.gameId, false, expiresAt, drawSig)
+      )
+        .to.emit(wallet, "ReservationDrawn")
+        .withArgs(request.gameId, opponentWalletAddress, request.amountPlayer1, 0n, ethers.ZeroAddress);
+      expect(await ethers.provider.getBalance(walletAddress)).to.equal(beforeWallet);
+      expect(await ethers.provider.getBalance(feeWallet.address)).to.equal(beforeFee);
+
+      // the fee flag is covered by the signature
+      await expect(
+        relaySettleDrawTx(factory, owner, walletAddress, opponentWalletAddress, request.gameId, true, expiresAt, drawSig)
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("rejects draws for wallets that are not party to the reservation", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, opponentWalletAddress, stranger } =
+        await loadFixture(deployFixture);
+      const nonces = new Map();
+      const request = withFactory(factory, {
+        gameId: await generateGameId(46n),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+      await relayReserveTx(factory, owner, request, reserveSig);
+
+      const strangerWalletAddress = await factory.predictBattleWalletAddress(stranger.address);
+      await factory.connect(stranger).deployBattleWallet(stranger.address);
+
+      const expiresAt = await buildExpiration();
+      const drawSig = await signDraw(
+        adminSigner,
+        factoryDomain,
+        request.gameId,
+        walletAddress,
+        strangerWalletAddress,
+        false,
+        expiresAt,
+      );
+      await expect(
+        relaySettleDrawTx(factory, owner, walletAddress, strangerWalletAddress, request.gameId, false, expiresAt, drawSig)
+      ).to.be.revertedWithCustomError(wallet, "AddressMismatch");
+
+      const expiredAt = await buildExpiration(1n);
+      const expiredSig = await signDraw(
+        adminSigner,
+        factoryDomain,
+        request.gameId,
+        walletAddress,
+        opponentWalletAddress,
+        false,
+        expiredAt,
+      );
+      await time.increase(5);
+      await expect(
+        relaySettleDrawTx(factory, owner, walletAddress, opponentWalletAddress, request.gameId, false, expiredAt, expiredSig)
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("rejects settlement when addresses do not match reservation", async () => {
+      const {
+        chainId,
+        wallet,
+        walletAddress,
+        factory,
+        adminSigner,
+        owner,
+        opponentWalletAddress,
+        feeWallet,
+      } =
+        await loadFixture(deployFixture);
+      const nonces = new Map();
+      const request = withFactory(factory, {
+        gameId: await generateGameId(5n),
+        amountPlayer1: ethers.parseEther("5"),
+        amountPlayer2: ethers.parseEther("5"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+      await relayReserveTx(factory, owner, request, reserveSig);
+      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      const wrongFactorySettlement = withFactory(factory, {
+        gameId: request.gameId,
+        winner: opponentWalletAddress,
+        loser: opponentWalletAddress,
+      });
+      const wrongFactoryExpiresAt = await buildExpiration();
+      const settleSigWrongFactory = await signSettlement(
+        adminSigner,
+        factoryDomain,
+        wrongFactorySettlement,
+        wrongFactoryExpiresAt,
+      );
+      await expect(
+        relaySettleTx(factory, owner, wrongFactorySettlement, wrongFactoryExpiresAt, settleSigWrongFactory)
+      ).to.be.revertedWithCustomError(wallet, "AddressMismatch");
+
+      const randomWallet = await ethers.Wallet.createRandom();
+      const settlementExternalLoser = withFactory(factory, {
+        gameId: request.gameId,
+        winner: opponentWalletAddress,
         loser: randomWallet.address,
       });
       const externalLoserExpiresAt = await buildExpiration();
@@ -837,10 +1607,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(5_000n),
-        amount: ethers.parseEther("2"),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -872,13 +1642,12 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(5_001n),
-        amount: ethers.parseEther("2"),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        feeWallet: feeWallet.address,
-        feeBasisPoints: 100,
+        fees: [{ recipient: feeWallet.address, basisPoints: 100 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -906,10 +1675,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(6n),
-        amount: ethers.parseEther("5"),
+        amountPlayer1: ethers.parseEther("5"),
+        amountPlayer2: ethers.parseEther("5"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -936,7 +1705,7 @@ describe("BattleWallet (EVM)", () => {
         relaySettleTx(factory, owner, settlement, expiredReservationExpiresAt, settleSig)
       ).to.be.revertedWithCustomError(
         wallet,
-        "ReservationExpired"
+        "ReservationHasExpired"
       );
     });
 
@@ -946,10 +1715,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(7n),
-        amount: ethers.parseEther("10"),
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -977,16 +1746,49 @@ describe("BattleWallet (EVM)", () => {
       expect(after + gasUsed - before).to.equal(ethers.parseEther("5"));
     });
 
+    it("withdraws to another recipient and sweeps everything available", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, stranger, opponentWalletAddress } =
+        await loadFixture(deployFixture);
+      const request = withFactory(factory, {
+        gameId: 71n,
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+      });
+      await relayReserveTx(factory, owner, request, await signReserve(adminSigner, buildFactoryDomain(factory, chainId), request));
+
+      await expect(wallet.connect(stranger).withdrawTo(stranger.address, 1n))
+        .to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+      await expect(wallet.connect(owner).withdrawTo(ethers.ZeroAddress, 1n))
+        .to.be.revertedWithCustomError(wallet, "ZeroAddress");
+      const strangerBefore = await ethers.provider.getBalance(stranger.address);
+      await expect(wallet.connect(owner).withdrawTo(stranger.address, ethers.parseEther("5")))
+        .to.emit(wallet, "EthWithdrawn")
+        .withArgs(stranger.address, ethers.parseEther("5"));
+      expect((await ethers.provider.getBalance(stranger.address)) - strangerBefore).to.equal(ethers.parseEther("5"));
+
+      // 85 ether is free while the reservation is live, and its 10 ether join once it expires
+      await time.increase(61);
+      await expect(wallet.connect(owner).withdrawAll())
+        .to.emit(wallet, "EthWithdrawn")
+        .withArgs(owner.address, ethers.parseEther("95"));
+      expect(await ethers.provider.getBalance(walletAddress)).to.equal(0n);
+      await expect(wallet.connect(owner).withdrawAll()).to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+    });
+
     it("cancels a reservation with a valid signature", async () => {
       const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress } =
         await loadFixture(deployFixture);
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(8n),
-        amount: ethers.parseEther("3"),
+        amountPlayer1: ethers.parseEther("3"),
+        amountPlayer2: ethers.parseEther("3"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1015,7 +1817,7 @@ describe("BattleWallet (EVM)", () => {
       )
         .to.emit(wallet, "ReservationCancelled")
         .withArgs(request.gameId);
-      const totals = await wallet.getTotalReserved();
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totals[0]).to.equal(0n);
 
       const [, , , , found] = await wallet.getReservationDetails(request.gameId);
@@ -1029,10 +1831,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(9n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1072,10 +1874,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(11n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1121,10 +1923,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(10n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1133,7 +1935,7 @@ describe("BattleWallet (EVM)", () => {
       bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
 
       const strangerWalletAddress = await factory.predictBattleWalletAddress(stranger.address);
-      await factory.deployBattleWallet(stranger.address);
+      await factory.connect(stranger).deployBattleWallet(stranger.address);
 
       const cancelExpiresAt = await buildExpiration();
       const cancelSig = await signCancel(
@@ -1187,10 +1989,10 @@ describe("BattleWallet (EVM)", () => {
       for (let i = 0; i < 2; i++) {
         const request = withFactory(factory, {
           gameId: await generateGameId(BigInt(400 + i)),
-          amount: ethers.parseEther("5"),
+          amountPlayer1: ethers.parseEther("5"),
+          amountPlayer2: ethers.parseEther("5"),
           player1: walletAddress,
           player2: opponentWalletAddress,
-          isToken: false,
           ...assignNonces(nonces, walletAddress, opponentWalletAddress),
         });
         const sig = await signReserve(adminSigner, factoryDomain, request);
@@ -1198,7 +2000,7 @@ describe("BattleWallet (EVM)", () => {
         bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
       }
 
-      const totalsBefore = await wallet.getTotalReserved();
+      const totalsBefore = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsBefore[0]).to.equal(ethers.parseEther("10"));
 
       const ttl = await factory.reservationTtl();
@@ -1222,7 +2024,7 @@ describe("BattleWallet (EVM)", () => {
         releaseSig,
       );
 
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(0n);
 
       const active = await wallet.getAllGames();
@@ -1248,10 +2050,10 @@ describe("BattleWallet (EVM)", () => {
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const longReservation = withFactory(factory, {
         gameId: await generateGameId(5000n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const longSig = await signReserve(adminSigner, factoryDomain, longReservation);
@@ -1263,10 +2065,10 @@ describe("BattleWallet (EVM)", () => {
 
       const shortReservation = withFactory(factory, {
         gameId: await generateGameId(5001n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const shortSig = await signReserve(adminSigner, factoryDomain, shortReservation);
@@ -1274,22 +2076,156 @@ describe("BattleWallet (EVM)", () => {
 
       // everything still reserved
       await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
-      const totalsBefore = await wallet.getTotalReserved();
+      const totalsBefore = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsBefore[0]).to.equal(ethers.parseEther("2"));
 
       // advance 300, shorter TTL entry should be removed while the long TTL remains
       await time.increase(300);
-      await wallet.connect(owner).releaseExpiredFullTraverse();
-      const totals2 = await wallet.getTotalReserved();
+      await expect(wallet.connect(owner).releaseExpiredFullTraverse())
+        .to.emit(wallet, "ReservationExpired")
+        .withArgs(shortReservation.gameId, ethers.parseEther("1"), ethers.ZeroAddress);
+      const totals2 = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totals2[0]).to.equal(ethers.parseEther("1"));
 
       // advance another 300, both should expire
       await time.increase(300);
       await wallet.connect(owner).releaseExpiredFullTraverse();
-      const totalsFinal = await wallet.getTotalReserved();
+      const totalsFinal = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsFinal[0]).to.equal(0n);
     });
 
+    it("inserts per-game ttls in expiration order so bounded releases reach them", async () => {
+      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress } =
+        await loadFixture(deployFixture);
+
+      const nonces = new Map();
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      // tournament round, default ttl, blitz match, then one between them
+      const ttls = [7200n, 0n, 300n, 600n];
+      for (let i = 0; i < ttls.length; i++) {
+        const request = withFactory(factory, {
+          gameId: await generateGameId(BigInt(5100 + i)),
+          amountPlayer1: ethers.parseEther("1"),
+          amountPlayer2: ethers.parseEther("1"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          ttl: ttls[i],
+          ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        });
+        const sig = await signReserve(adminSigner, factoryDomain, request);
+        await relayReserveTx(factory, owner, request, sig);
+        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      }
+
+      // the default ttl of 60 seconds expires first, the tournament round last
+      expect(await wallet.getAllGames()).to.deep.equal([5101n, 5102n, 5103n, 5100n]);
+
+      // releases stop at the first unexpired entry, without a full traversal
+      await time.increase(601);
+      const release = wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      for (const gameId of [5101n, 5102n, 5103n]) {
+        await expect(release).to.emit(wallet, "ReservationExpired").withArgs(gameId, ethers.parseEther("1"), ethers.ZeroAddress);
+      }
+      expect(await wallet.getAllGames()).to.deep.equal([5100n]);
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
+      expect(totals[0]).to.equal(ethers.parseEther("1"));
+    });
+
+    it("pages through reservations with their status", async () => {
+      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress, feeWallet } =
+        await loadFixture(deployFixture);
+      const nonces = new Map();
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const ttls = [7200n, 0n, 300n, 600n];
+      for (let i = 0; i < ttls.length; i++) {
+        const request = withFactory(factory, {
+          gameId: await generateGameId(BigInt(5200 + i)),
+          amountPlayer1: ethers.parseEther("1"),
+          amountPlayer2: ethers.parseEther("2"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          ttl: ttls[i],
+          fees: [{ recipient: feeWallet.address, basisPoints: 500 }],
+          ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        });
+        const sig = await signReserve(adminSigner, factoryDomain, request);
+        await relayReserveTx(factory, owner, request, sig);
+        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      }
+
+      const settlement = withFactory(factory, { gameId: 5202n, winner: opponentWalletAddress, loser: walletAddress });
+      const expiresAt = await buildExpiration();
+      await relaySettleTx(factory, owner, settlement, expiresAt, await signSettlement(adminSigner, factoryDomain, settlement, expiresAt));
+      const cancelSig = await signCancel(adminSigner, factoryDomain, 5203n, walletAddress, opponentWalletAddress, expiresAt);
+      await relayCancelTx(factory, owner, walletAddress, opponentWalletAddress, 5203n, expiresAt, cancelSig);
+      await time.increase(61);
+
+      expect(await wallet.getGameCount()).to.equal(4n);
+      const [firstPage, cursor] = await wallet.getGames(0n, 2n);
+      expect(cursor).to.equal(5203n);
+      expect(firstPage.map((game) => [game.gameId, game.status])).to.deep.equal([
+        [5201n, 1n], // expired, not yet swept
+        [5202n, 2n], // settled
+      ]);
+      expect(firstPage[0].amount).to.equal(ethers.parseEther("1"));
+      expect(firstPage[0].opponent).to.equal(opponentWalletAddress);
+      expect(firstPage[0].opponentAmount).to.equal(ethers.parseEther("2"));
+      expect(firstPage[0].token).to.equal(ethers.ZeroAddress);
+      expect(firstPage[0].fees).to.deep.equal([[feeWallet.address, 500n]]);
+
+      const [lastPage, end] = await wallet.getGames(cursor, 10n);
+      expect(end).to.equal(0n);
+      expect(lastPage.map((game) => [game.gameId, game.status])).to.deep.equal([
+        [5203n, 3n], // cancelled
+        [5200n, 0n], // active
+      ]);
+
+      // a cursor swept since the previous page cannot be resumed from
+      await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      await expect(wallet.getGames(5201n, 2n)).to.be.revertedWithCustomError(wallet, "GameNotFound");
+      expect(await wallet.getGameCount()).to.equal(3n);
+
+      await time.increase(600);
+      await wallet.connect(owner).releaseExpiredFullTraverse();
+      expect(await wallet.getGameCount()).to.equal(1n);
+      expect(await wallet.getAllGames()).to.deep.equal([5200n]);
+    });
+
+    it("rejects per-game ttls outside the factory bounds", async () => {
+      const { chainId, walletAddress, factory, adminSigner, owner, opponentWalletAddress, factoryOwner, stranger } =
+        await loadFixture(deployFixture);
+
+      expect(await factory.minReservationTtl()).to.equal(30n);
+      expect(await factory.maxReservationTtl()).to.equal(864000n);
+      await expect(factory.connect(stranger).setReservationTtlBounds(60, 600))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(stranger.address);
+      await expect(factory.connect(factoryOwner).setReservationTtlBounds(600, 60))
+        .to.be.revertedWithCustomError(factory, "InvalidReservationTtl");
+      await expect(factory.connect(factoryOwner).setReservationTtlBounds(10, 600))
+        .to.be.revertedWithCustomError(factory, "InvalidReservationTtl");
+      await expect(factory.connect(factoryOwner).setReservationTtlBounds(60, 600))
+        .to.emit(factory, "ReservationTtlBoundsUpdated")
+        .withArgs(60n, 600n);
+
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const nonces = new Map();
+      for (const ttl of [59n, 601n]) {
+        const request = withFactory(factory, {
+          gameId: await generateGameId(5200n + ttl),
+          amountPlayer1: ethers.parseEther("1"),
+          amountPlayer2: ethers.parseEther("1"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          ttl,
+          ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        });
+        const sig = await signReserve(adminSigner, factoryDomain, request);
+        await expect(relayReserveTx(factory, owner, request, sig))
+          .to.be.revertedWithCustomError(factory, "InvalidReservationTtl");
+      }
+    });
+
     it("rejects release relays without the approver signature", async () => {
       const { chainId, walletAddress, factory, owner, adminSigner, opponentWalletAddress } =
         await loadFixture(deployFixture);
@@ -1298,10 +2234,10 @@ describe("BattleWallet (EVM)", () => {
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const request = withFactory(factory, {
         gameId: await generateGameId(612n),
-        amount: ethers.parseEther("3"),
+        amountPlayer1: ethers.parseEther("3"),
+        amountPlayer2: ethers.parseEther("3"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -1321,7 +2257,7 @@ describe("BattleWallet (EVM)", () => {
           releaseExpiresAt,
           EMPTY_SIG,
         )
-      ).to.be.revertedWithCustomError(factory, "ECDSAInvalidSignatureLength");
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
 
       const badSig = await signReleaseExpired(
         owner,
@@ -1352,10 +2288,10 @@ describe("BattleWallet (EVM)", () => {
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const request = withFactory(factory, {
         gameId: await generateGameId(701n),
-        amount: ethers.parseEther("1.5"),
+        amountPlayer1: ethers.parseEther("1.5"),
+        amountPlayer2: ethers.parseEther("1.5"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -1365,7 +2301,7 @@ describe("BattleWallet (EVM)", () => {
       await time.increase(Number(ttl) + 1);
       await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
 
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(0n);
       const [, , , , found] = await wallet.getReservationDetails(request.gameId);
       expect(found).to.equal(false);
@@ -1379,10 +2315,10 @@ describe("BattleWallet (EVM)", () => {
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const request = withFactory(factory, {
         gameId: await generateGameId(702n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -1436,10 +2372,10 @@ describe("BattleWallet (EVM)", () => {
       for (let i = 0; i < DEFAULT_RELEASE_TRAVERSAL_LIMIT; i++) {
         const request = withFactory(factory, {
           gameId: await generateGameId(BigInt(7500 + i)),
-          amount: ethers.parseEther("0.1"),
+          amountPlayer1: ethers.parseEther("0.1"),
+          amountPlayer2: ethers.parseEther("0.1"),
           player1: walletAddress,
           player2: opponentWalletAddress,
-          isToken: false,
           ...assignNonces(nonces, walletAddress, opponentWalletAddress),
         });
         const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -1454,7 +2390,7 @@ describe("BattleWallet (EVM)", () => {
       const receipt = await releaseTx.wait();
       expect(receipt.gasUsed).to.be.lessThan(5_000_000n);
 
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(0n);
       const activeGames = await wallet.getAllGames();
       expect(activeGames.length).to.equal(0);
@@ -1480,10 +2416,10 @@ describe("BattleWallet (EVM)", () => {
       const firstAmount = ethers.parseEther("1");
       const firstReservation = withFactory(factory, {
         gameId: firstGameId,
-        amount: firstAmount,
+        amountPlayer1: firstAmount,
+        amountPlayer2: firstAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const firstSig = await signReserve(adminSigner, factoryDomain, firstReservation);
@@ -1495,10 +2431,10 @@ describe("BattleWallet (EVM)", () => {
       const middleAmount = ethers.parseEther("2");
       const middleReservation = withFactory(factory, {
         gameId: middleGameId,
-        amount: middleAmount,
+        amountPlayer1: middleAmount,
+        amountPlayer2: middleAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const middleSig = await signReserve(adminSigner, factoryDomain, middleReservation);
@@ -1510,22 +2446,22 @@ describe("BattleWallet (EVM)", () => {
       const lastAmount = ethers.parseEther("3");
       const lastReservation = withFactory(factory, {
         gameId: lastGameId,
-        amount: lastAmount,
+        amountPlayer1: lastAmount,
+        amountPlayer2: lastAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const lastSig = await signReserve(adminSigner, factoryDomain, lastReservation);
       await relayReserveTx(factory, owner, lastReservation, lastSig);
 
-      const totalsBefore = await wallet.getTotalReserved();
+      const totalsBefore = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsBefore[0]).to.equal(firstAmount + middleAmount + lastAmount);
 
       await time.increase(31);
       await wallet.connect(owner).releaseExpiredFullTraverse();
 
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(firstAmount + lastAmount);
 
       const activeGames = await wallet.getAllGames();
@@ -1557,10 +2493,10 @@ describe("BattleWallet (EVM)", () => {
       const firstAmount = ethers.parseEther("1");
       const firstReservation = withFactory(factory, {
         gameId: firstGameId,
-        amount: firstAmount,
+        amountPlayer1: firstAmount,
+        amountPlayer2: firstAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const firstSig = await signReserve(adminSigner, factoryDomain, firstReservation);
@@ -1571,10 +2507,10 @@ describe("BattleWallet (EVM)", () => {
       const secondAmount = ethers.parseEther("1.5");
       const secondReservation = withFactory(factory, {
         gameId: secondGameId,
-        amount: secondAmount,
+        amountPlayer1: secondAmount,
+        amountPlayer2: secondAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const secondSig = await signReserve(adminSigner, factoryDomain, secondReservation);
@@ -1586,22 +2522,22 @@ describe("BattleWallet (EVM)", () => {
       const lastAmount = ethers.parseEther("2");
       const lastReservation = withFactory(factory, {
         gameId: lastGameId,
-        amount: lastAmount,
+        amountPlayer1: lastAmount,
+        amountPlayer2: lastAmount,
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const lastSig = await signReserve(adminSigner, factoryDomain, lastReservation);
       await relayReserveTx(factory, owner, lastReservation, lastSig);
 
-      const totalsBefore = await wallet.getTotalReserved();
+      const totalsBefore = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsBefore[0]).to.equal(firstAmount + secondAmount + lastAmount);
 
       await time.increase(31);
       await wallet.connect(owner).releaseExpiredFullTraverse();
 
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(firstAmount + secondAmount);
 
       const activeGames = await wallet.getAllGames();
@@ -1622,10 +2558,10 @@ describe("BattleWallet (EVM)", () => {
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const request = withFactory(factory, {
         gameId: await generateGameId(702n),
-        amount: ethers.parseEther("2"),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -1646,7 +2582,7 @@ describe("BattleWallet (EVM)", () => {
       );
 
       await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
-      const totalsAfter = await wallet.getTotalReserved();
+      const totalsAfter = await wallet.getTotalReserved(ethers.ZeroAddress);
       expect(totalsAfter[0]).to.equal(0n);
     });
 
@@ -1662,10 +2598,10 @@ describe("BattleWallet (EVM)", () => {
       for (let i = 0; i < 100; i++) {
         const request = withFactory(factory, {
           gameId: await generateGameId(BigInt(1000 + i)),
-          amount: ethers.parseEther("0.01"),
+          amountPlayer1: ethers.parseEther("0.01"),
+          amountPlayer2: ethers.parseEther("0.01"),
           player1: walletAddress,
           player2: opponentWalletAddress,
-          isToken: false,
           ...assignNonces(nonces, walletAddress, opponentWalletAddress),
         });
         const sig = await signReserve(adminSigner, factoryDomain, request);
@@ -1673,7 +2609,7 @@ describe("BattleWallet (EVM)", () => {
         bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
       }
 
-      const totals = await wallet.calculateTotalReserved();
+      const totals = await wallet.calculateTotalReserved(ethers.ZeroAddress);
       expect(totals[0]).to.equal(ethers.parseEther("0.01") * BigInt(100));
       expect(totals[1]).to.equal(0n);
 
@@ -1682,7 +2618,7 @@ describe("BattleWallet (EVM)", () => {
 
       await wallet.connect(owner).releaseExpired(200);
 
-      const newTotals = await wallet.calculateTotalReserved();
+      const newTotals = await wallet.calculateTotalReserved(ethers.ZeroAddress);
       expect(newTotals[0]).to.equal(0n);
       expect(newTotals[1]).to.equal(0n);
 
@@ -1715,10 +2651,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const baseFields = {
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
       };
       const request1 = withFactory(factory, {
         ...baseFields,
@@ -1824,10 +2760,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(800n),
-        amount: ethers.parseEther("2"),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1887,10 +2823,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(810n),
-        amount: ethers.parseEther("1"),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1927,10 +2863,10 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(820n),
-        amount: ethers.parseEther("4"),
+        amountPlayer1: ethers.parseEther("4"),
+        amountPlayer2: ethers.parseEther("4"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: false,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -1976,18 +2912,51 @@ describe("BattleWallet (EVM)", () => {
       const { wallet, token, owner, adminSigner } = await loadFixture(setupTokenFixture);
       // send tokens to the battle wallet
       const initialBalance = await token.balanceOf(owner.address);
-      await expect(wallet.connect(owner).withdrawToken(ethers.parseEther("1001")))
+      await expect(wallet.connect(owner).withdrawToken(token.target, ethers.parseEther("1001")))
         .to.be.revertedWithCustomError(wallet, "InsufficientFunds");
 
-      await expect(wallet.connect(adminSigner).withdrawToken(1n)).to.be.revertedWithCustomError(
+      await expect(wallet.connect(adminSigner).withdrawToken(token.target, 1n)).to.be.revertedWithCustomError(
         wallet,
         "SenderNotAllowed"
       );
-      await wallet.connect(owner).withdrawToken(ethers.parseEther("100"));
+      await wallet.connect(owner).withdrawToken(token.target, ethers.parseEther("100"));
       const balance = await token.balanceOf(owner.address);
       expect(balance - initialBalance).to.be.greaterThan(0n);
     });
 
+    it("withdraws tokens to another recipient or sweeps the whole free balance", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, stranger, opponentWalletAddress, token, deposit } =
+        await loadFixture(setupTokenFixture);
+      const request = withFactory(factory, {
+        gameId: 950n,
+        amountPlayer1: ethers.parseEther("100"),
+        amountPlayer2: ethers.parseEther("100"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+      });
+      await relayReserveTx(factory, owner, request, await signReserve(adminSigner, buildFactoryDomain(factory, chainId), request));
+
+      await expect(wallet.connect(owner).withdrawTokenTo(token.target, stranger.address, ethers.parseEther("50")))
+        .to.emit(wallet, "TokensWithdrawn")
+        .withArgs(token.target, stranger.address, ethers.parseEther("50"));
+      expect(await token.balanceOf(stranger.address)).to.equal(ethers.parseEther("50"));
+
+      const ownerBefore = await token.balanceOf(owner.address);
+      await expect(wallet.connect(owner).withdrawAllTokens(token.target))
+        .to.emit(wallet, "TokensWithdrawn")
+        .withArgs(token.target, owner.address, deposit - ethers.parseEther("150"));
+      expect((await token.balanceOf(owner.address)) - ownerBefore).to.equal(deposit - ethers.parseEther("150"));
+      expect(await token.balanceOf(walletAddress)).to.equal(ethers.parseEther("100"));
+      await expect(wallet.connect(owner).withdrawAllTokens(token.target))
+        .to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+      await expect(wallet.connect(owner).withdrawAllTokens(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(wallet, "InvalidToken");
+    });
+
     it("reserves and settles token wagers when wallet loses", async () => {
       const { chainId, walletAddress, factory, owner, adminSigner, opponentWalletAddress, token, feeWallet } =
         await loadFixture(setupTokenFixture);
@@ -1995,13 +2964,14 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(900n),
-        amount: ethers.parseEther("20"),
+        amountPlayer1: ethers.parseEther("20"),
+        amountPlayer2: ethers.parseEther("20"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: true,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        feeWallet: feeWallet.address,
-        feeBasisPoints: 500,
+        fees: [{ recipient: feeWallet.address, basisPoints: 500 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const sig = await signReserve(adminSigner, factoryDomain, request);
@@ -2021,13 +2991,12 @@ describe("BattleWallet (EVM)", () => {
         tokenLoseExpiresAt,
       );
       const opponentBefore = await token.balanceOf(opponentWalletAddress);
-      const feeBefore = await token.balanceOf(feeWallet.address);
       await relaySettleTx(factory, owner, settlement, tokenLoseExpiresAt, settleSig);
 
       const opponentAfter = await token.balanceOf(opponentWalletAddress);
-      const feeAfter = await token.balanceOf(feeWallet.address);
       expect(opponentAfter - opponentBefore).to.equal(ethers.parseEther("19"));
-      expect(feeAfter - feeBefore).to.equal(ethers.parseEther("1"));
+      expect(await factory.accruedFees(feeWallet.address, token.target)).to.equal(ethers.parseEther("1"));
+      expect(await token.balanceOf(factory.target)).to.equal(ethers.parseEther("1"));
     });
 
     it("reserves and settles token wagers when wallet wins", async () => {
@@ -2038,10 +3007,12 @@ describe("BattleWallet (EVM)", () => {
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(901n),
-        amount: ethers.parseEther("15"),
+        amountPlayer1: ethers.parseEther("15"),
+        amountPlayer2: ethers.parseEther("15"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: true,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -2063,16 +3034,18 @@ describe("BattleWallet (EVM)", () => {
     });
 
     it("cancels token reservations", async () => {
-      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress } = await loadFixture(
+      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress, token } = await loadFixture(
         setupTokenFixture
       );
       const nonces = new Map();
       const request = withFactory(factory, {
         gameId: await generateGameId(902n),
-        amount: ethers.parseEther("7"),
+        amountPlayer1: ethers.parseEther("7"),
+        amountPlayer2: ethers.parseEther("7"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: true,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
@@ -2098,56 +3071,74 @@ describe("BattleWallet (EVM)", () => {
         tokenCancelExpiresAt,
         cancelSig
       );
-      const totals = await wallet.getTotalReserved();
+      const totals = await wallet.getTotalReserved(token.target);
       expect(totals[1]).to.equal(0n);
       const [, , , , found] = await wallet.getReservationDetails(request.gameId);
       expect(found).to.equal(false);
     });
 
-    it("releases expired token reservations on signer request", async () => {
-      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress } =
+    it("settles token draws and charges each side the fee", async () => {
+      const { chainId, wallet, walletAddress, factory, owner, adminSigner, opponentWalletAddress, token, feeWallet } =
         await loadFixture(setupTokenFixture);
       const nonces = new Map();
       const request = withFactory(factory, {
-        gameId: await generateGameId(903n),
-        amount: ethers.parseEther("9"),
+        gameId: await generateGameId(904n),
+        amountPlayer1: ethers.parseEther("20"),
+        amountPlayer2: ethers.parseEther("20"),
         player1: walletAddress,
         player2: opponentWalletAddress,
-        isToken: true,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
         ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        fees: [{ recipient: feeWallet.address, basisPoints: 250 }],
       });
       const factoryDomain = buildFactoryDomain(factory, chainId);
       const sig = await signReserve(adminSigner, factoryDomain, request);
       await relayReserveTx(factory, owner, request, sig);
-      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
 
-      const ttl = await factory.reservationTtl();
-      await time.increase(Number(ttl) + 10);
-      const releaseExpiresAt = await buildExpiration();
-      const releaseSig = await signReleaseExpired(
+      const expiresAt = await buildExpiration();
+      const drawSig = await signDraw(
         adminSigner,
         factoryDomain,
+        request.gameId,
         walletAddress,
+        opponentWalletAddress,
         true,
-        0,
-        releaseExpiresAt,
+        expiresAt,
       );
-      await relayReleaseExpiredTx(
+      const walletBefore = await token.balanceOf(walletAddress);
+      await relaySettleDrawTx(factory, owner, walletAddress, opponentWalletAddress, request.gameId, true, expiresAt, drawSig);
+
+      expect(await factory.accruedFees(feeWallet.address, token.target)).to.equal(ethers.parseEther("1"));
+      expect(walletBefore - (await token.balanceOf(walletAddress))).to.equal(ethers.parseEther("0.5"));
+      const totals = await wallet.getTotalReserved(token.target);
+      expect(totals[1]).to.equal(0n);
+    });
+
+    it("rejects reservations in tokens that are not allowlisted", async () => {
+      const { chainId, walletAddress, factory, owner, adminSigner, opponentWalletAddress, token, factoryOwner } =
+        await loadFixture(setupTokenFixture);
+      await factory.connect(factoryOwner).setWagerToken(token.target, false);
+      const nonces = new Map();
+      const request = withFactory(factory, {
+        gameId: await generateGameId(905n),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const sig = await signReserve(adminSigner, factoryDomain, request);
+      await expect(relayReserveTx(factory, owner, request, sig)).to.be.revertedWithCustomError(
         factory,
-        owner,
-        walletAddress,
-        true,
-        0,
-        releaseExpiresAt,
-        releaseSig,
+        "TokenNotAllowed"
       );
-      const totals = await wallet.getTotalReserved();
-      expect(totals[1]).to.equal(0n);
-      const [, , , , found] = await wallet.getReservationDetails(request.gameId);
-      expect(found).to.equal(false);
     });
 
-    it("no limit to wagers and releases after ttl", async () => {
+    it("tracks reserved balances separately for each token", async () => {
       const {
         chainId,
         wallet,
@@ -2155,54 +3146,724 @@ describe("BattleWallet (EVM)", () => {
         factory,
         owner,
         adminSigner,
-        factoryOwner,
         opponentWalletAddress,
         token,
+        factoryOwner,
         deposit,
       } = await loadFixture(setupTokenFixture);
-
-      const extendedTtl = 3600;
-      await factory.connect(factoryOwner).setReservationTtl(extendedTtl);
+      const Token = await ethers.getContractFactory("TestToken");
+      const secondToken = await Token.deploy("Second Token", "TWO", 18, ethers.parseEther("1000"), owner.address);
+      await secondToken.waitForDeployment();
+      await factory.connect(factoryOwner).setWagerToken(secondToken.target, true);
+      await secondToken.transfer(walletAddress, ethers.parseEther("100"));
+      await secondToken.transfer(opponentWalletAddress, ethers.parseEther("100"));
 
       const nonces = new Map();
       const factoryDomain = buildFactoryDomain(factory, chainId);
-      for (let i = 0; i < 200; i++) {
-        const request = withFactory(factory, {
-          gameId: await generateGameId(BigInt(2000 + i)),
-          amount: ethers.parseEther("0.01"),
-          player1: walletAddress,
-          player2: opponentWalletAddress,
-          isToken: true,
-          ...assignNonces(nonces, walletAddress, opponentWalletAddress),
-        });
-        const sig = await signReserve(adminSigner, factoryDomain, request);
-        await relayReserveTx(factory, owner, request, sig);
-        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
-      }
+      const firstRequest = withFactory(factory, {
+        gameId: await generateGameId(906n),
+        amountPlayer1: ethers.parseEther("10"),
+        amountPlayer2: ethers.parseEther("10"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      await relayReserveTx(factory, owner, firstRequest, await signReserve(adminSigner, factoryDomain, firstRequest));
+      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
 
-      const totals = await wallet.calculateTotalReserved();
-      expect(totals[0]).to.equal(0n);
-      expect(totals[1]).to.equal(ethers.parseEther("0.01") * BigInt(200));
+      const secondRequest = withFactory(factory, {
+        gameId: await generateGameId(907n),
+        amountPlayer1: ethers.parseEther("60"),
+        amountPlayer2: ethers.parseEther("60"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer1: secondToken.target,
+        tokenPlayer2: secondToken.target,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      await expect(
+        relayReserveTx(factory, owner, secondRequest, await signReserve(adminSigner, factoryDomain, secondRequest))
+      )
+        .to.emit(wallet, "Reserved")
+        .withArgs(secondRequest.gameId, opponentWalletAddress, secondRequest.amountPlayer1, secondRequest.amountPlayer2, secondToken.target, secondToken.target, anyValue, []);
 
-      const ttl = await factory.reservationTtl();
+      expect(await wallet.totalReservedTokens(token.target)).to.equal(firstRequest.amountPlayer1);
+      expect(await wallet.totalReservedTokens(secondToken.target)).to.equal(secondRequest.amountPlayer1);
+      const [, secondReserved] = await wallet.calculateTotalReserved(secondToken.target);
+      expect(secondReserved).to.equal(secondRequest.amountPlayer1);
+
+      const [amount, , , reservedToken, found] = await wallet.getReservationDetails(secondRequest.gameId);
+      expect(found).to.equal(true);
+      expect(amount).to.equal(secondRequest.amountPlayer1);
+      expect(reservedToken).to.equal(secondToken.target);
+
+      // reservations in one token do not lock balances of another
+      await expect(
+        wallet.connect(owner).withdrawToken(secondToken.target, ethers.parseEther("41"))
+      ).to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+      await expect(wallet.connect(owner).withdrawToken(secondToken.target, ethers.parseEther("40")))
+        .to.emit(wallet, "TokensWithdrawn")
+        .withArgs(secondToken.target, owner.address, ethers.parseEther("40"));
+      await wallet.connect(owner).withdrawToken(token.target, deposit - firstRequest.amountPlayer1);
+      await expect(wallet.connect(owner).withdrawToken(ethers.ZeroAddress, 1n)).to.be.revertedWithCustomError(
+        wallet,
+        "InvalidToken"
+      );
+    });
+
+    it("releases expired token reservations on signer request", async () => {
+      const { chainId, wallet, walletAddress, factory, adminSigner, owner, opponentWalletAddress, token } =
+        await loadFixture(setupTokenFixture);
+      const nonces = new Map();
+      const request = withFactory(factory, {
+        gameId: await generateGameId(903n),
+        amountPlayer1: ethers.parseEther("9"),
+        amountPlayer2: ethers.parseEther("9"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer1: token.target,
+        tokenPlayer2: token.target,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const sig = await signReserve(adminSigner, factoryDomain, request);
+      await relayReserveTx(factory, owner, request, sig);
+      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+
+      const ttl = await factory.reservationTtl();
+      await time.increase(Number(ttl) + 10);
+      const releaseExpiresAt = await buildExpiration();
+      const releaseSig = await signReleaseExpired(
+        adminSigner,
+        factoryDomain,
+        walletAddress,
+        true,
+        0,
+        releaseExpiresAt,
+      );
+      await relayReleaseExpiredTx(
+        factory,
+        owner,
+        walletAddress,
+        true,
+        0,
+        releaseExpiresAt,
+        releaseSig,
+      );
+      const totals = await wallet.getTotalReserved(token.target);
+      expect(totals[1]).to.equal(0n);
+      const [, , , , found] = await wallet.getReservationDetails(request.gameId);
+      expect(found).to.equal(false);
+    });
+
+    it("no limit to wagers and releases after ttl", async () => {
+      const {
+        chainId,
+        wallet,
+        walletAddress,
+        factory,
+        owner,
+        adminSigner,
+        factoryOwner,
+        opponentWalletAddress,
+        token,
+        deposit,
+      } = await loadFixture(setupTokenFixture);
+
+      const extendedTtl = 3600;
+      await factory.connect(factoryOwner).setReservationTtl(extendedTtl);
+
+      const nonces = new Map();
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      for (let i = 0; i < 200; i++) {
+        const request = withFactory(factory, {
+          gameId: await generateGameId(BigInt(2000 + i)),
+          amountPlayer1: ethers.parseEther("0.01"),
+          amountPlayer2: ethers.parseEther("0.01"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          tokenPlayer1: token.target,
+          tokenPlayer2: token.target,
+          ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+        });
+        const sig = await signReserve(adminSigner, factoryDomain, request);
+        await relayReserveTx(factory, owner, request, sig);
+        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      }
+
+      const totals = await wallet.calculateTotalReserved(token.target);
+      expect(totals[0]).to.equal(0n);
+      expect(totals[1]).to.equal(ethers.parseEther("0.01") * BigInt(200));
+
+      const ttl = await factory.reservationTtl();
       await time.increase(Number(ttl) + 200);
 
       await wallet.connect(owner).releaseExpired(250);
 
-      const newTotals = await wallet.calculateTotalReserved();
+      const newTotals = await wallet.calculateTotalReserved(token.target);
       expect(newTotals[0]).to.equal(0n);
       expect(newTotals[1]).to.equal(0n);
 
       const walletTokenBalanceBefore = await token.balanceOf(walletAddress);
       expect(walletTokenBalanceBefore).to.equal(deposit);
       const ownerTokenBefore = await token.balanceOf(owner.address);
-      await wallet.connect(owner).withdrawToken(walletTokenBalanceBefore);
+      await wallet.connect(owner).withdrawToken(token.target, walletTokenBalanceBefore);
       const ownerTokenAfter = await token.balanceOf(owner.address);
       expect(ownerTokenAfter - ownerTokenBefore).to.equal(walletTokenBalanceBefore);
       const walletTokenBalanceAfter = await token.balanceOf(walletAddress);
       expect(walletTokenBalanceAfter).to.equal(0n);
     });
 
+    it("settles cross-asset wagers in the loser's asset", async () => {
+      const {
+        chainId,
+        wallet,
+        walletAddress,
+        factory,
+        token,
+        owner,
+        adminSigner,
+        opponentWallet,
+        opponentWalletAddress,
+        feeWallet,
+      } = await loadFixture(deployFixture);
+      await token.connect(owner).transfer(opponentWalletAddress, ethers.parseEther("1000"));
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+
+      // ether against the game token, 10% fee on whichever stake is lost
+      const playCrossAssetGame = async (gameId, winner, loser) => {
+        const request = withFactory(factory, {
+          gameId,
+          amountPlayer1: ethers.parseEther("1"),
+          amountPlayer2: ethers.parseEther("500"),
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          tokenPlayer1: ethers.ZeroAddress,
+          tokenPlayer2: token.target,
+          noncePlayer1: await wallet.getCurrentNonce(),
+          noncePlayer2: await opponentWallet.getCurrentNonce(),
+          fees: [{ recipient: feeWallet.address, basisPoints: 1000 }],
+        });
+        const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+        await expect(relayReserveTx(factory, owner, request, reserveSig))
+          .to.emit(wallet, "Reserved")
+          .withArgs(gameId, opponentWalletAddress, ethers.parseEther("1"), ethers.parseEther("500"), ethers.ZeroAddress, token.target, anyValue, anyValue)
+          .and.to.emit(opponentWallet, "Reserved")
+          .withArgs(gameId, walletAddress, ethers.parseEther("500"), ethers.parseEther("1"), token.target, ethers.ZeroAddress, anyValue, anyValue);
+
+        const settlement = withFactory(factory, { gameId, winner, loser });
+        const expiresAt = await buildExpiration();
+        const settleSig = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt);
+        return relaySettleTx(factory, owner, settlement, expiresAt, settleSig);
+      };
+
+      const tokensBefore = await token.balanceOf(walletAddress);
+      await expect(playCrossAssetGame(8101n, walletAddress, opponentWalletAddress))
+        .to.emit(wallet, "ReservationSettled")
+        .withArgs(8101n, walletAddress, opponentWalletAddress, ethers.parseEther("500"), token.target, ethers.parseEther("50"), ethers.parseEther("450"));
+      expect((await token.balanceOf(walletAddress)) - tokensBefore).to.equal(ethers.parseEther("450"));
+      expect(await factory.accruedFees(feeWallet.address, token.target)).to.equal(ethers.parseEther("50"));
+
+      const etherBefore = await ethers.provider.getBalance(opponentWalletAddress);
+      await expect(playCrossAssetGame(8102n, opponentWalletAddress, walletAddress))
+        .to.emit(opponentWallet, "ReservationSettled")
+        .withArgs(8102n, opponentWalletAddress, walletAddress, ethers.parseEther("1"), ethers.ZeroAddress, ethers.parseEther("0.1"), ethers.parseEther("0.9"));
+      expect((await ethers.provider.getBalance(opponentWalletAddress)) - etherBefore).to.equal(ethers.parseEther("0.9"));
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.1"));
+      expect(await wallet.getTotalReserved(token.target)).to.deep.equal([0n, 0n]);
+      expect(await opponentWallet.getTotalReserved(token.target)).to.deep.equal([0n, 0n]);
+    });
+
+    it("rejects a cross-asset wager when either asset is not allowlisted", async () => {
+      const { chainId, walletAddress, factory, owner, adminSigner, opponentWalletAddress } =
+        await loadFixture(deployFixture);
+      const Token = await ethers.getContractFactory("TestToken");
+      const otherToken = await Token.deploy("Other", "OTH", 18, ethers.parseEther("1000"), owner.address);
+      const request = withFactory(factory, {
+        gameId: 8103n,
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        tokenPlayer2: otherToken.target,
+        noncePlayer1: 0n,
+        noncePlayer2: 0n,
+      });
+      const reserveSig = await signReserve(adminSigner, buildFactoryDomain(factory, chainId), request);
+      await expect(relayReserveTx(factory, owner, request, reserveSig))
+        .to.be.revertedWithCustomError(factory, "TokenNotAllowed");
+    });
+
+  });
+
+  describe("deposits", () => {
+    it("records ether deposits from anyone", async () => {
+      const { wallet, walletAddress, stranger } = await loadFixture(deployFixture);
+      const before = await ethers.provider.getBalance(walletAddress);
+      await expect(wallet.connect(stranger).deposit({ value: ethers.parseEther("2") }))
+        .to.emit(wallet, "EthDeposited")
+        .withArgs(stranger.address, ethers.parseEther("2"));
+      expect((await ethers.provider.getBalance(walletAddress)) - before).to.equal(ethers.parseEther("2"));
+      await expect(wallet.connect(stranger).deposit()).to.be.revertedWithCustomError(wallet, "InvalidAmount");
+    });
+
+    it("pulls approved tokens from the depositor", async () => {
+      const { wallet, walletAddress, token, owner } = await loadFixture(deployFixture);
+      await expect(wallet.connect(owner).depositToken(token.target, ethers.parseEther("5"))).to.be.reverted;
+
+      await token.connect(owner).approve(walletAddress, ethers.parseEther("5"));
+      await expect(wallet.connect(owner).depositToken(token.target, ethers.parseEther("5")))
+        .to.emit(wallet, "TokensDeposited")
+        .withArgs(token.target, owner.address, ethers.parseEther("5"));
+      expect(await token.balanceOf(walletAddress)).to.equal(ethers.parseEther("5"));
+      await expect(wallet.connect(owner).depositToken(ethers.ZeroAddress, 1n))
+        .to.be.revertedWithCustomError(wallet, "InvalidToken");
+    });
+
+    it("deposits EIP-2612 tokens with a permit instead of an approval", async () => {
+      const { chainId, wallet, walletAddress, stranger } = await loadFixture(deployFixture);
+      const PermitToken = await ethers.getContractFactory("PermitToken");
+      const permitToken = await PermitToken.deploy(ethers.parseEther("100"), stranger.address);
+      const amount = ethers.parseEther("10");
+      const deadline = await buildExpiration();
+      const signPermit = async (nonce) =>
+        ethers.Signature.from(
+          await stranger.signTypedData(
+            { name: "Permit Token", version: "1", chainId, verifyingContract: permitToken.target },
+            {
+              Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+              ],
+            },
+            { owner: stranger.address, spender: walletAddress, value: amount, nonce, deadline },
+          ),
+        );
+
+      const first = await signPermit(0n);
+      await expect(
+        wallet.connect(stranger).depositTokenWithPermit(permitToken.target, amount, deadline, first.v, first.r, first.s),
+      )
+        .to.emit(wallet, "TokensDeposited")
+        .withArgs(permitToken.target, stranger.address, amount);
+      expect(await permitToken.balanceOf(walletAddress)).to.equal(amount);
+
+      // a permit submitted by someone else first still lets the deposit go through
+      const second = await signPermit(1n);
+      await permitToken.permit(stranger.address, walletAddress, amount, deadline, second.v, second.r, second.s);
+      await wallet.connect(stranger).depositTokenWithPermit(permitToken.target, amount, deadline, second.v, second.r, second.s);
+      expect(await permitToken.balanceOf(walletAddress)).to.equal(amount * 2n);
+    });
+  });
+
+  describe("relayed owner actions", () => {
+    async function buildWithdraw(wallet, overrides = {}) {
+      return {
+        token: ethers.ZeroAddress,
+        recipient: ethers.ZeroAddress,
+        amount: 0n,
+        feeToken: ethers.ZeroAddress,
+        relayerFee: 0n,
+        nonce: await wallet.ownerActionNonce(),
+        deadline: await buildExpiration(),
+        ...overrides,
+      };
+    }
+
+    it("pays out an owner-signed withdrawal and the relayer's fee", async () => {
+      const { chainId, factory, wallet, walletAddress, owner, user, stranger } = await loadFixture(deployFixture);
+      const walletDomain = buildWalletDomain(walletAddress, chainId);
+      const amount = ethers.parseEther("10");
+      const relayerFee = ethers.parseEther("0.1");
+      const request = await buildWithdraw(wallet, { recipient: user.address, amount, relayerFee });
+      const signature = await owner.signTypedData(walletDomain, WITHDRAW_TYPES, request);
+
+      const userBefore = await ethers.provider.getBalance(user.address);
+      const walletBefore = await ethers.provider.getBalance(walletAddress);
+      await expect(factory.connect(stranger).relayWithdraw(walletAddress, request, signature))
+        .to.emit(wallet, "OwnerActionRelayed")
+        .withArgs(0n, stranger.address, ethers.ZeroAddress, relayerFee)
+        .and.to.emit(wallet, "EthWithdrawn")
+        .withArgs(user.address, amount);
+      expect((await ethers.provider.getBalance(user.address)) - userBefore).to.equal(amount);
+      expect(walletBefore - (await ethers.provider.getBalance(walletAddress))).to.equal(amount + relayerFee);
+      expect(await wallet.ownerActionNonce()).to.equal(1n);
+
+      // the same signature cannot be replayed
+      await expect(factory.connect(stranger).relayWithdraw(walletAddress, request, signature))
+        .to.be.revertedWithCustomError(wallet, "InvalidNonce");
+    });
+
+    it("pays the relayer in tokens from the unreserved balance", async () => {
+      const { chainId, factory, wallet, walletAddress, token, owner, stranger } = await loadFixture(deployFixture);
+      await token.connect(owner).transfer(walletAddress, ethers.parseEther("20"));
+      const walletDomain = buildWalletDomain(walletAddress, chainId);
+      const request = await buildWithdraw(wallet, {
+        token: token.target,
+        recipient: owner.address,
+        amount: ethers.parseEther("15"),
+        feeToken: token.target,
+        relayerFee: ethers.parseEther("6"),
+      });
+      const signature = await owner.signTypedData(walletDomain, WITHDRAW_TYPES, request);
+      await expect(factory.connect(stranger).relayWithdraw(walletAddress, request, signature))
+        .to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+
+      request.relayerFee = ethers.parseEther("5");
+      const fitting = await owner.signTypedData(walletDomain, WITHDRAW_TYPES, request);
+      await factory.connect(stranger).relayWithdraw(walletAddress, request, fitting);
+      expect(await token.balanceOf(stranger.address)).to.equal(ethers.parseEther("5"));
+      expect(await token.balanceOf(walletAddress)).to.equal(0n);
+    });
+
+    it("rejects expired, foreign and direct submissions", async () => {
+      const { chainId, factory, wallet, walletAddress, owner, user, stranger } = await loadFixture(deployFixture);
+      const walletDomain = buildWalletDomain(walletAddress, chainId);
+      const request = await buildWithdraw(wallet, { recipient: user.address, amount: 1n });
+
+      const strangerSig = await stranger.signTypedData(walletDomain, WITHDRAW_TYPES, request);
+      await expect(factory.relayWithdraw(walletAddress, request, strangerSig))
+        .to.be.revertedWithCustomError(wallet, "BadSignature");
+
+      const ownerSig = await owner.signTypedData(walletDomain, WITHDRAW_TYPES, request);
+      await expect(wallet.connect(owner).withdrawWithSignature(request, owner.address, ownerSig))
+        .to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+      await expect(factory.relayWithdraw(stranger.address, request, ownerSig))
+        .to.be.revertedWithCustomError(factory, "InvalidWallet");
+
+      await time.increaseTo(request.deadline + 1n);
+      await expect(factory.relayWithdraw(walletAddress, request, ownerSig))
+        .to.be.revertedWithCustomError(wallet, "SignatureExpired");
+    });
+
+    it("toggles the approval requirement from an owner signature", async () => {
+      const { chainId, factory, wallet, walletAddress, owner, stranger } = await loadFixture(deployFixture);
+      const walletDomain = buildWalletDomain(walletAddress, chainId);
+      const request = {
+        requireApproval: true,
+        feeToken: ethers.ZeroAddress,
+        relayerFee: 1000n,
+        nonce: await wallet.ownerActionNonce(),
+        deadline: await buildExpiration(),
+      };
+      const signature = await owner.signTypedData(walletDomain, SET_APPROVAL_TYPES, request);
+      await expect(factory.connect(stranger).relaySetApprovalRequired(walletAddress, request, signature))
+        .to.emit(wallet, "ApprovalRequirementUpdated")
+        .withArgs(true)
+        .and.to.emit(wallet, "OwnerActionRelayed")
+        .withArgs(0n, stranger.address, ethers.ZeroAddress, 1000n);
+      expect(await wallet.requireApproval()).to.equal(true);
+      await expect(factory.connect(stranger).relaySetApprovalRequired(walletAddress, request, signature))
+        .to.be.revertedWithCustomError(wallet, "InvalidNonce");
+    });
+  });
+
+  describe("mutual settlement", () => {
+    it("settles on the loser's concession alone", async () => {
+      const { chainId, factory, wallet, walletAddress, opponentWalletAddress, owner, stranger, settlement, settleMessage } =
+        await loadFixture(reservedGameFixture);
+      const loserDomain = buildWalletDomain(walletAddress, chainId);
+      const strangerSig = await stranger.signTypedData(loserDomain, OWNER_SETTLE_TYPES, settleMessage);
+      await expect(factory.connect(stranger).relayMutualSettle(settlement, strangerSig, EMPTY_SIG))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      const concession = await owner.signTypedData(loserDomain, OWNER_SETTLE_TYPES, settleMessage);
+      const before = await ethers.provider.getBalance(opponentWalletAddress);
+      await expect(factory.connect(stranger).relayMutualSettle(settlement, concession, EMPTY_SIG))
+        .to.emit(wallet, "ReservationSettled")
+        .withArgs(settlement.gameId, settlement.winner, settlement.loser, ethers.parseEther("10"), ethers.ZeroAddress, ethers.parseEther("1"), ethers.parseEther("9"));
+      expect((await ethers.provider.getBalance(opponentWalletAddress)) - before).to.equal(ethers.parseEther("9"));
+      expect(await wallet.getBattleRecord()).to.deep.equal([0n, 1n]);
+
+      await expect(factory.connect(stranger).relayMutualSettle(settlement, concession, EMPTY_SIG))
+        .to.be.revertedWithCustomError(wallet, "GameNotFound");
+    });
+
+    it("rejects a concession replayed after the game id is reserved again", async () => {
+      const fixture = await loadFixture(reservedGameFixture);
+      const { chainId, factory, wallet, walletAddress, owner, stranger, request, settlement, settleMessage } = fixture;
+      const concession = await owner.signTypedData(buildWalletDomain(walletAddress, chainId), OWNER_SETTLE_TYPES, settleMessage);
+      await factory.connect(stranger).relayMutualSettle(settlement, concession, EMPTY_SIG);
+
+      // once the settled entries are swept, the same game id can be reserved again
+      await time.increase(3600);
+      await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      expect(await wallet.getAllGames()).to.deep.equal([]);
+      await reserveGameTx(fixture, { ...request, noncePlayer1: 1n, noncePlayer2: 1n });
+      expect((await wallet.getReservationDetails(request.gameId))[4]).to.equal(true);
+
+      await expect(factory.connect(stranger).relayMutualSettle(settlement, concession, EMPTY_SIG))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("accepts both owners naming the same winner and rejects a mismatch", async () => {
+      const {
+        chainId,
+        factory,
+        opponentWallet,
+        walletAddress,
+        opponentWalletAddress,
+        owner,
+        opponent,
+        settlement,
+        settleMessage,
+      } = await loadFixture(reservedGameFixture);
+      const loserDomain = buildWalletDomain(walletAddress, chainId);
+      const winnerDomain = buildWalletDomain(opponentWalletAddress, chainId);
+      const loserSig = await owner.signTypedData(loserDomain, OWNER_SETTLE_TYPES, settleMessage);
+
+      // signed on the loser's domain, so it does not verify against the winner's wallet
+      const wrongDomainSig = await opponent.signTypedData(loserDomain, OWNER_SETTLE_TYPES, settleMessage);
+      await expect(factory.relayMutualSettle(settlement, loserSig, wrongDomainSig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      // the loser's signature does not cover a settlement with the roles swapped
+      const swapped = { ...settlement, winner: walletAddress, loser: opponentWalletAddress };
+      const winnerSwapSig = await opponent.signTypedData(winnerDomain, OWNER_SETTLE_TYPES, {
+        ...settleMessage,
+        winner: walletAddress,
+        loser: opponentWalletAddress,
+      });
+      await expect(factory.relayMutualSettle(swapped, loserSig, winnerSwapSig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      const winnerSig = await opponent.signTypedData(winnerDomain, OWNER_SETTLE_TYPES, settleMessage);
+      await expect(factory.relayMutualSettle(settlement, loserSig, winnerSig))
+        .to.emit(opponentWallet, "ReservationSettled")
+        .withArgs(settlement.gameId, settlement.winner, settlement.loser, ethers.parseEther("10"), ethers.ZeroAddress, ethers.parseEther("1"), ethers.parseEther("9"));
+      expect(await opponentWallet.getBattleRecord()).to.deep.equal([1n, 0n]);
+    });
+  });
+
+  describe("pot reservations", () => {
+    // four funded wallets, the fixture's two plus wallets for user and stranger
+    async function potFixture() {
+      const fixture = await deployFixture();
+      const { factory, token, owner, user, stranger, walletAddress, opponentWalletAddress } = fixture;
+      const players = [walletAddress, opponentWalletAddress];
+      for (const account of [user, stranger]) {
+        players.push(await factory.predictBattleWalletAddress(account.address));
+        await factory.connect(account).deployBattleWallet(account.address);
+        await account.sendTransaction({ to: players[players.length - 1], value: ethers.parseEther("100") });
+      }
+      for (const player of players) {
+        await token.connect(owner).transfer(player, ethers.parseEther("100"));
+      }
+      const wallets = await Promise.all(players.map((player) => ethers.getContractAt("BattleWallet", player)));
+      return { ...fixture, players, wallets };
+    }
+
+    it("settles a winner-takes-all pot and charges the fee once", async () => {
+      const fixture = await loadFixture(potFixture);
+      const { factory, feeWallet, players, wallets } = fixture;
+      const fees = [{ recipient: feeWallet.address, basisPoints: 1000 }];
+      const request = await buildPot(fixture, await generateGameId(90n), ethers.parseEther("10"), { fees });
+      await reservePotTx(fixture, request);
+      for (const wallet of wallets) {
+        expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(request.buyIn);
+      }
+
+      const before = await ethers.provider.getBalance(players[1]);
+      await expect(settlePotTx(fixture, request.gameId, players, [0, 10000, 0, 0]))
+        .to.emit(factory, "FeesAccrued")
+        .withArgs(request.gameId, feeWallet.address, ethers.ZeroAddress, ethers.parseEther("4"))
+        .and.to.emit(wallets[1], "PotSettled")
+        .withArgs(request.gameId, request.buyIn, ethers.parseEther("36"), ethers.ZeroAddress);
+
+      // 40 in the pot, 10% fee, the winner's own buy-in is part of its payout
+      expect((await ethers.provider.getBalance(players[1])) - before).to.equal(ethers.parseEther("26"));
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("4"));
+      expect(await ethers.provider.getBalance(factory.target)).to.equal(ethers.parseEther("4"));
+      expect(await wallets[1].getBattleRecord()).to.deep.equal([1n, 0n]);
+      expect(await wallets[3].getBattleRecord()).to.deep.equal([0n, 1n]);
+      for (const wallet of wallets) {
+        expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+      }
+    });
+
+    it("splits a token pot across the top three", async () => {
+      const fixture = await loadFixture(potFixture);
+      const { factory, token, players } = fixture;
+      const request = await buildPot(fixture, await generateGameId(90n), 1001n, { token: token.target });
+      await reservePotTx(fixture, request);
+      const before = await Promise.all(players.map((player) => token.balanceOf(player)));
+      await settlePotTx(fixture, request.gameId, players, [2000, 5000, 0, 3000]);
+
+      // 4004 splits into 800/2002/0/1201 and the unit of rounding dust goes to the first paid wallet
+      const deltas = await Promise.all(
+        players.map(async (player, i) => (await token.balanceOf(player)) - before[i]),
+      );
+      expect(deltas).to.deep.equal([801n - 1001n, 2002n - 1001n, -1001n, 1201n - 1001n]);
+      expect(await token.balanceOf(factory.target)).to.equal(0n);
+    });
+
+    it("rejects bad payout tables and keeps pots out of two-player paths", async () => {
+      const fixture = await loadFixture(potFixture);
+      const { chainId, factory, adminSigner, players, wallets } = fixture;
+      const request = await buildPot(fixture, await generateGameId(90n));
+      await reservePotTx(fixture, request);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const expiresAt = await buildExpiration();
+
+      await expect(settlePotTx(fixture, request.gameId, players, [5000, 4000, 0, 0]))
+        .to.be.revertedWithCustomError(factory, "InvalidPayouts");
+
+      const cancelSig = await signCancel(adminSigner, factoryDomain, request.gameId, players[0], players[1], expiresAt);
+      await expect(relayCancelTx(factory, adminSigner, players[0], players[1], request.gameId, expiresAt, cancelSig))
+        .to.be.revertedWithCustomError(wallets[0], "AddressMismatch");
+
+      // a settlement that leaves a player out does not match the reserved player list
+      await expect(settlePotTx(fixture, request.gameId, players.slice(0, 3), [10000, 0, 0]))
+        .to.be.revertedWithCustomError(wallets[0], "NotPotReservation");
+      await expect(settlePotTx(fixture, request.gameId, players.slice(0, 2), [10000, 0]))
+        .to.be.revertedWithCustomError(factory, "InvalidPotSize");
+
+      const potCancelSig = await signCancelPot(adminSigner, factoryDomain, request.gameId, players, expiresAt);
+      await expect(factory.relayCancelPot(request.gameId, players, expiresAt, potCancelSig))
+        .to.emit(wallets[3], "ReservationCancelled")
+        .withArgs(request.gameId);
+      for (const wallet of wallets) {
+        expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+      }
+    });
+
+    it("checks owner approvals and sizes when reserving", async () => {
+      const fixture = await loadFixture(potFixture);
+      const { chainId, factory, adminSigner, owner, stranger, players, wallets } = fixture;
+      await wallets[0].connect(owner).setApprovalRequired(true);
+      const request = await buildPot(fixture, await generateGameId(91n), ethers.parseEther("1"));
+      const signature = await signReservePot(adminSigner, buildFactoryDomain(factory, chainId), request);
+      const walletDomain = buildWalletDomain(players[0], chainId);
+      const approvals = players.map(() => EMPTY_SIG);
+
+      approvals[0] = await signReservePot(stranger, walletDomain, request);
+      await expect(factory.relayReservePot(request, signature, approvals))
+        .to.be.revertedWithCustomError(wallets[0], "BadSignature");
+      await expect(factory.relayReservePot(request, signature, approvals.slice(1)))
+        .to.be.revertedWithCustomError(factory, "InvalidPotSize");
+
+      // two wallets are a regular reservation, not a pot
+      const pair = { ...request, players: players.slice(0, 2), nonces: [0n, 0n] };
+      const pairSignature = await signReservePot(adminSigner, buildFactoryDomain(factory, chainId), pair);
+      await expect(factory.relayReservePot(pair, pairSignature, [EMPTY_SIG, EMPTY_SIG]))
+        .to.be.revertedWithCustomError(factory, "InvalidPotSize");
+
+      approvals[0] = await signReservePot(owner, walletDomain, request);
+      await expect(factory.relayReservePot(request, signature, approvals))
+        .to.emit(wallets[0], "Reserved")
+        .withArgs(request.gameId, ethers.ZeroAddress, request.buyIn, 0n, ethers.ZeroAddress, ethers.ZeroAddress, anyValue, []);
+      expect(await wallets[2].getCurrentNonce()).to.equal(1n);
+    });
+  });
+
+  describe("mutual cancellation", () => {
+    it("cancels on both owners' signatures", async () => {
+      const {
+        chainId,
+        factory,
+        wallet,
+        opponentWallet,
+        walletAddress,
+        opponentWalletAddress,
+        owner,
+        opponent,
+        request,
+        expiration,
+      } = await loadFixture(reservedGameFixture);
+      const message = {
+        gameId: request.gameId,
+        walletOne: walletAddress,
+        walletTwo: opponentWalletAddress,
+        factory: factory.target,
+        deadline: await buildExpiration(),
+        expiration,
+      };
+      const ownerSig = await signMutualCancel(owner, walletAddress, chainId, message);
+      const opponentSig = await signMutualCancel(opponent, opponentWalletAddress, chainId, message);
+      const cancelArgs = [walletAddress, opponentWalletAddress, request.gameId, message.deadline];
+
+      await expect(factory.relayMutualCancel(...cancelArgs, ownerSig, ownerSig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      await expect(factory.relayMutualCancel(...cancelArgs, ownerSig, opponentSig))
+        .to.emit(wallet, "ReservationCancelled")
+        .withArgs(request.gameId)
+        .and.to.emit(opponentWallet, "ReservationCancelled")
+        .withArgs(request.gameId);
+      expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+      expect((await opponentWallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+    });
+
+    it("rejects expired messages and wallets that are not in the game", async () => {
+      const { chainId, factory, wallet, walletAddress, opponentWalletAddress, owner, opponent, stranger, request, expiration } =
+        await loadFixture(reservedGameFixture);
+      const strangerWalletAddress = await factory.predictBattleWalletAddress(stranger.address);
+      await factory.connect(stranger).deployBattleWallet(stranger.address);
+
+      // the owner and an accomplice cannot cancel the owner's side of a game against someone else
+      const colluding = {
+        gameId: request.gameId,
+        walletOne: walletAddress,
+        walletTwo: strangerWalletAddress,
+        factory: factory.target,
+        deadline: await buildExpiration(),
+        expiration,
+      };
+      await expect(
+        factory.relayMutualCancel(
+          walletAddress,
+          strangerWalletAddress,
+          request.gameId,
+          colluding.deadline,
+          await signMutualCancel(owner, walletAddress, chainId, colluding),
+          // the accomplice's wallet holds no such game, so it reads a zero expiration
+          await signMutualCancel(stranger, strangerWalletAddress, chainId, { ...colluding, expiration: 0n }),
+        ),
+      ).to.be.revertedWithCustomError(wallet, "AddressMismatch");
+
+      const expiring = { ...colluding, walletTwo: opponentWalletAddress, deadline: await buildExpiration(10n) };
+      const ownerSig = await signMutualCancel(owner, walletAddress, chainId, expiring);
+      const opponentSig = await signMutualCancel(opponent, opponentWalletAddress, chainId, expiring);
+      await time.increaseTo(expiring.deadline + 1n);
+      await expect(
+        factory.relayMutualCancel(walletAddress, opponentWalletAddress, request.gameId, expiring.deadline, ownerSig, opponentSig),
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("rejects a cancellation replayed after the game id is reserved again", async () => {
+      const fixture = await loadFixture(reservedGameFixture);
+      const { chainId, factory, wallet, walletAddress, opponentWalletAddress, owner, opponent, request, expiration } =
+        fixture;
+      const message = {
+        gameId: request.gameId,
+        walletOne: walletAddress,
+        walletTwo: opponentWalletAddress,
+        factory: factory.target,
+        deadline: await buildExpiration(2n * DEFAULT_SIGNATURE_TTL),
+        expiration,
+      };
+      const cancelArgs = [
+        walletAddress,
+        opponentWalletAddress,
+        request.gameId,
+        message.deadline,
+        await signMutualCancel(owner, walletAddress, chainId, message),
+        await signMutualCancel(opponent, opponentWalletAddress, chainId, message),
+      ];
+      await factory.relayMutualCancel(...cancelArgs);
+
+      // once the cancelled entries are swept, the same game id can be reserved again
+      await time.increase(3600);
+      await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      await reserveGameTx(fixture, { ...request, noncePlayer1: 1n, noncePlayer2: 1n });
+
+      await expect(factory.relayMutualCancel(...cancelArgs)).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
   });
 
   describe("large scale lifecycle management", () => {
@@ -2241,7 +3902,7 @@ describe("BattleWallet (EVM)", () => {
 
       for (const opponent of opponents) {
         const predicted = await factory.predictBattleWalletAddress(opponent.address);
-        await factory.deployBattleWallet(opponent.address);
+        await factory.connect(opponent).deployBattleWallet(opponent.address);
         const opponentWallet = await ethers.getContractAt("BattleWallet", predicted);
         opponentWalletAddresses.push(predicted);
         opponentWallets.push(opponentWallet);
@@ -2298,10 +3959,12 @@ describe("BattleWallet (EVM)", () => {
         const opponentIndex = randomInt(0, opponentWallets.length-1);
         const request = withFactory(factory, {
           gameId: await generateGameId(BigInt(5000 + gameCtr)),
-          amount: ethers.parseEther("0.1"),
+          amountPlayer1: ethers.parseEther("0.1"),
+          amountPlayer2: ethers.parseEther("0.1"),
           player1: walletAddress,
           player2: opponentWalletAddresses[opponentIndex],
-          isToken,
+          tokenPlayer1: isToken ? token.target : ethers.ZeroAddress,
+          tokenPlayer2: isToken ? token.target : ethers.ZeroAddress,
           ...assignNonces(nonces, walletAddress, opponentWalletAddresses[opponentIndex]),
         });
         const reserveSig = await signReserve(adminSigner, factoryDomain, request);
@@ -2338,8 +4001,8 @@ describe("BattleWallet (EVM)", () => {
           abandonedGames.push(gameToFinalize);
         } else {
           // > 0.9 => expires with no result
-          let userDelta = (winner == walletAddress ? gameToFinalize.amount : -1n * gameToFinalize.amount);
-          if (gameToFinalize.isToken) {
+          let userDelta = (winner == walletAddress ? gameToFinalize.amountPlayer1 : -1n * gameToFinalize.amountPlayer1);
+          if (gameToFinalize.tokenPlayer1 !== ethers.ZeroAddress) {
             expectedTokenDelta += userDelta;
           } else {
             expectedEthDelta += userDelta;
@@ -2368,10 +4031,10 @@ describe("BattleWallet (EVM)", () => {
       }
       // the rest will be abandoned now, and nothing reserved
       await time.increase(100000);
-      const storedTotals = await wallet.getTotalReserved();
+      const storedTotals = await wallet.getTotalReserved(token.target);
       expect(storedTotals[0]).to.greaterThan(0n);
       expect(storedTotals[1]).to.greaterThan(0n);
-      const totals = await wallet.calculateTotalReserved();
+      const totals = await wallet.calculateTotalReserved(token.target);
       expect(totals[0]).to.equal(0n);
       expect(totals[1]).to.equal(0n);
       const releaseExpiresAt = await buildExpiration();
@@ -2393,27 +4056,1167 @@ describe("BattleWallet (EVM)", () => {
         releaseExpiresAt,
         releaseSig,
       );
-      const newStoredTotals = await wallet.getTotalReserved();
+      const newStoredTotals = await wallet.getTotalReserved(token.target);
       expect(newStoredTotals[0]).to.equal(0n);
       expect(newStoredTotals[1]).to.equal(0n);
-      const newTotals = await wallet.calculateTotalReserved();
+      const newTotals = await wallet.calculateTotalReserved(token.target);
       expect(newTotals[0]).to.equal(0n);
       expect(newTotals[1]).to.equal(0n);
     });
   });
 
-  describe("proxy upgrades", () => {
-    async function deployUpgradeImplementation() {
-      const WalletV2 = await ethers.getContractFactory("BattleWalletV2");
-      const implementation = await WalletV2.deploy();
-      await implementation.waitForDeployment();
-      return implementation;
+  describe("batched relays", () => {
+    async function reserveBatchFixture() {
+      const base = await deployFixture();
+      const { chainId, factory, adminSigner, stranger, walletAddress, opponentWalletAddress } = base;
+      const nonces = new Map();
+      const requests = [];
+      for (const gameId of [101n, 102n, 103n]) {
+        const gameNonces = assignNonces(nonces, walletAddress, opponentWalletAddress);
+        requests.push(await buildGame(base, gameId, ethers.parseEther("2"), gameNonces));
+        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      }
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const { root, proofs } = buildMerkleTree(requests.map((request) => hashReserveLeaf(request)));
+      const expiresAt = await buildExpiration();
+      const batchSig = await signBatch(adminSigner, factoryDomain, root, expiresAt);
+      const items = requests.map((request, index) => ({
+        request,
+        playerOneApproval: EMPTY_SIG,
+        playerTwoApproval: EMPTY_SIG,
+        proof: proofs[index],
+      }));
+      await factory.connect(stranger).relayReserveBatch(items, root, expiresAt, batchSig, true);
+      return { ...base, factoryDomain, requests };
     }
 
-    it("requires owner signature to upgrade wallet", async () => {
-      const { chainId, factory, walletAddress, owner, factoryOwner } = await loadFixture(deployFixture);
-      const proxy = await ethers.getContractAt("BattleWalletProxy", walletAddress);
-      const newImplementation = await deployUpgradeImplementation();
+    it("reserves several games against a single batch signature", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { chainId, wallet, walletAddress, factory, adminSigner, stranger, opponentWalletAddress } = fixture;
+      const nonces = new Map();
+      const requests = [];
+      for (const gameId of [11n, 12n, 13n]) {
+        const gameNonces = assignNonces(nonces, walletAddress, opponentWalletAddress);
+        requests.push(await buildGame(fixture, gameId, ethers.parseEther("1"), gameNonces));
+        bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+      }
+      const { root, proofs } = buildMerkleTree(requests.map((request) => hashReserveLeaf(request)));
+      const expiresAt = await buildExpiration();
+      const batchSig = await signBatch(adminSigner, buildFactoryDomain(factory, chainId), root, expiresAt);
+      const items = requests.map((request, index) => ({
+        request,
+        playerOneApproval: EMPTY_SIG,
+        playerTwoApproval: EMPTY_SIG,
+        proof: proofs[index],
+      }));
+
+      const tx = factory.connect(stranger).relayReserveBatch(items, root, expiresAt, batchSig, true);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 0n, 11n, true);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 2n, 13n, true);
+
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
+      expect(totals[0]).to.equal(ethers.parseEther("3"));
+      expect(await wallet.getCurrentNonce()).to.equal(3n);
+    });
+
+    it("settles any subset of a signed batch", async () => {
+      const { wallet, walletAddress, factory, adminSigner, stranger, opponentWalletAddress, factoryDomain, requests } =
+        await loadFixture(reserveBatchFixture);
+      const settlements = requests.map((request) =>
+        withFactory(factory, { gameId: request.gameId, winner: opponentWalletAddress, loser: walletAddress }),
+      );
+      const expiresAt = await buildExpiration();
+      const { root, proofs } = buildMerkleTree(settlements.map((request) => hashSettleLeaf(request, expiresAt)));
+      const batchSig = await signBatch(adminSigner, factoryDomain, root, expiresAt);
+      const items = settlements.map((request, index) => ({ request, proof: proofs[index] }));
+
+      await factory.connect(stranger).relaySettleBatch([items[0], items[2]], root, expiresAt, batchSig, true);
+      expect((await wallet.getReservationDetails(101n))[4]).to.equal(false);
+      expect((await wallet.getReservationDetails(102n))[4]).to.equal(true);
+      expect((await wallet.getReservationDetails(103n))[4]).to.equal(false);
+
+      await expect(factory.connect(stranger).relaySettleBatch([items[1]], root, expiresAt, batchSig, true))
+        .to.emit(wallet, "ReservationSettled")
+        .withArgs(102n, opponentWalletAddress, walletAddress, ethers.parseEther("2"), ethers.ZeroAddress, 0n, ethers.parseEther("2"));
+      const [wins, losses] = await wallet.getBattleRecord();
+      expect(wins).to.equal(0n);
+      expect(losses).to.equal(3n);
+    });
+
+    it("skips failing items unless the batch is atomic", async () => {
+      const { wallet, walletAddress, factory, adminSigner, stranger, opponentWalletAddress, factoryDomain } =
+        await loadFixture(reserveBatchFixture);
+      const expiresAt = await buildExpiration();
+      // game 999 is signed but was never reserved, so its cancel reverts in the wallet
+      const gameIds = [101n, 999n, 103n];
+      const { root, proofs } = buildMerkleTree(
+        gameIds.map((gameId) => hashCancelLeaf(factory, gameId, walletAddress, opponentWalletAddress, expiresAt)),
+      );
+      const batchSig = await signBatch(adminSigner, factoryDomain, root, expiresAt);
+      const items = gameIds.map((gameId, index) => ({
+        walletOne: walletAddress,
+        walletTwo: opponentWalletAddress,
+        gameId,
+        proof: proofs[index],
+      }));
+      // game 102 was not part of the signed batch
+      const unsigned = { ...items[0], gameId: 102n };
+
+      await expect(
+        factory.connect(stranger).relayCancelBatch(items, root, expiresAt, batchSig, true),
+      ).to.be.revertedWithCustomError(wallet, "GameNotFound");
+      await expect(
+        factory.connect(stranger).relayCancelBatch([unsigned], root, expiresAt, batchSig, true),
+      ).to.be.revertedWithCustomError(factory, "InvalidProof");
+
+      const tx = factory.connect(stranger).relayCancelBatch([...items, unsigned], root, expiresAt, batchSig, false);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 0n, 101n, true);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 1n, 999n, false);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 2n, 103n, true);
+      await expect(tx).to.emit(factory, "BatchItemProcessed").withArgs(root, 3n, 102n, false);
+
+      expect((await wallet.getReservationDetails(101n))[4]).to.equal(false);
+      expect((await wallet.getReservationDetails(102n))[4]).to.equal(true);
+      expect((await wallet.getReservationDetails(103n))[4]).to.equal(false);
+      const totals = await wallet.getTotalReserved(ethers.ZeroAddress);
+      expect(totals[0]).to.equal(ethers.parseEther("2"));
+    });
+
+    it("rejects batch signatures that are expired or not from the approver", async () => {
+      const { walletAddress, factory, adminSigner, stranger, opponentWalletAddress, factoryDomain } =
+        await loadFixture(reserveBatchFixture);
+      const expiresAt = await buildExpiration(30n);
+      const leaf = hashCancelLeaf(factory, 101n, walletAddress, opponentWalletAddress, expiresAt);
+      const { root } = buildMerkleTree([leaf]);
+      const items = [{ walletOne: walletAddress, walletTwo: opponentWalletAddress, gameId: 101n, proof: [] }];
+
+      const strangerSig = await signBatch(stranger, factoryDomain, root, expiresAt);
+      await expect(
+        factory.connect(stranger).relayCancelBatch(items, root, expiresAt, strangerSig, false),
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      const batchSig = await signBatch(adminSigner, factoryDomain, root, expiresAt);
+      await time.increase(31);
+      await expect(
+        factory.connect(stranger).relayCancelBatch(items, root, expiresAt, batchSig, false),
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("only lets the factory call the batch item entry points", async () => {
+      const { walletAddress, factory, stranger, opponentWalletAddress } = await loadFixture(reserveBatchFixture);
+      await expect(
+        factory.connect(stranger).relayCancelBatchItem(walletAddress, opponentWalletAddress, 101n),
+      ).to.be.revertedWithCustomError(factory, "Unauthorized");
+    });
+  });
+
+  describe("opponent filter", () => {
+    const FilterMode = { None: 0, AllowList: 1, DenyList: 2 };
+
+    it("only reserves against listed opponents in allowlist mode", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { wallet, owner, opponent } = fixture;
+      await expect(wallet.connect(owner).setOpponentFilterMode(FilterMode.AllowList))
+        .to.emit(wallet, "OpponentFilterModeUpdated")
+        .withArgs(FilterMode.AllowList);
+
+      // owner approval does not bypass the list
+      await wallet.connect(owner).setApprovalRequired(true);
+      const request = await buildGame(fixture, 8001n);
+      await expect(reserveGameTx(fixture, request, owner))
+        .to.be.revertedWithCustomError(wallet, "OpponentNotAllowed");
+
+      // listing the opponent's owner address admits their wallet
+      await expect(wallet.connect(owner).updateOpponentList([opponent.address], true))
+        .to.emit(wallet, "OpponentListUpdated")
+        .withArgs(opponent.address, true);
+      await expect(reserveGameTx(fixture, request, owner)).to.emit(wallet, "Reserved");
+    });
+
+    it("rejects listed opponents in denylist mode", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { wallet, owner, stranger, opponentWalletAddress } = fixture;
+      await expect(wallet.connect(stranger).updateOpponentList([opponentWalletAddress], true))
+        .to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+      await expect(wallet.connect(stranger).setOpponentFilterMode(FilterMode.DenyList))
+        .to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+
+      await wallet.connect(owner).updateOpponentList([opponentWalletAddress, stranger.address], true);
+      // the list has no effect until a mode is chosen
+      await reserveGameTx(fixture, await buildGame(fixture, 8101n));
+
+      await wallet.connect(owner).setOpponentFilterMode(FilterMode.DenyList);
+      const [mode, accounts] = await wallet.getOpponentList();
+      expect(mode).to.equal(FilterMode.DenyList);
+      expect(accounts).to.deep.equal([opponentWalletAddress, stranger.address]);
+
+      const request = await buildGame(fixture, 8102n);
+      await expect(reserveGameTx(fixture, request)).to.be.revertedWithCustomError(wallet, "OpponentNotAllowed");
+
+      await expect(wallet.connect(owner).updateOpponentList([opponentWalletAddress], false))
+        .to.emit(wallet, "OpponentListUpdated")
+        .withArgs(opponentWalletAddress, false);
+      await reserveGameTx(fixture, request);
+      expect(await wallet.getAllGames()).to.deep.equal([8101n, 8102n]);
+    });
+  });
+
+  describe("session keys", () => {
+    async function sessionFixture() {
+      const base = await deployFixture();
+      await base.wallet.connect(base.owner).setApprovalRequired(true);
+      return base;
+    }
+
+    it("accepts approvals from a session key and charges its budget", async () => {
+      const fixture = await loadFixture(sessionFixture);
+      const { wallet, owner, user, opponentWalletAddress } = fixture;
+      const expiresAt = await buildExpiration();
+      await expect(
+        wallet
+          .connect(owner)
+          .registerSessionKey(
+            user.address,
+            expiresAt,
+            ethers.ZeroAddress,
+            ethers.parseEther("2"),
+            ethers.parseEther("3"),
+            opponentWalletAddress,
+            ethers.ZeroAddress,
+          ),
+      )
+        .to.emit(wallet, "SessionKeyRegistered")
+        .withArgs(
+          user.address,
+          expiresAt,
+          ethers.ZeroAddress,
+          ethers.parseEther("2"),
+          ethers.parseEther("3"),
+          opponentWalletAddress,
+          ethers.ZeroAddress,
+        );
+
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 9001n, ethers.parseEther("2")), user))
+        .to.emit(wallet, "SessionKeyUsed")
+        .withArgs(user.address, 9001n, ethers.parseEther("2"));
+      expect((await wallet.getSessionKey(user.address)).spent).to.equal(ethers.parseEther("2"));
+
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 9002n, ethers.parseEther("2")), user))
+        .to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+      await reserveGameTx(fixture, await buildGame(fixture, 9002n, ethers.parseEther("1")), user);
+      expect((await wallet.getSessionKey(user.address)).spent).to.equal(ethers.parseEther("3"));
+
+      // the owner can still approve directly
+      await reserveGameTx(fixture, await buildGame(fixture, 9003n, ethers.parseEther("10")), owner);
+      expect(await wallet.getAllGames()).to.deep.equal([9001n, 9002n, 9003n]);
+    });
+
+    it("rejects session key approvals outside the key's restrictions", async () => {
+      const fixture = await loadFixture(sessionFixture);
+      const { wallet, owner, user, stranger, feeWallet, token } = fixture;
+      const expiresAt = await buildExpiration(600n);
+      await expect(
+        wallet
+          .connect(stranger)
+          .registerSessionKey(user.address, expiresAt, ethers.ZeroAddress, 1n, 0n, ethers.ZeroAddress, ethers.ZeroAddress),
+      ).to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+      await wallet
+        .connect(owner)
+        .registerSessionKey(
+          user.address,
+          expiresAt,
+          ethers.ZeroAddress,
+          ethers.parseEther("2"),
+          0n,
+          ethers.ZeroAddress,
+          feeWallet.address,
+        );
+      const feeTerms = { fees: [{ recipient: feeWallet.address, basisPoints: 100 }] };
+
+      const request = await buildGame(fixture, 9101n, ethers.parseEther("1"), feeTerms);
+      await expect(reserveGameTx(fixture, request, stranger)).to.be.revertedWithCustomError(wallet, "BadSignature");
+      const overBudget = await buildGame(fixture, 9101n, ethers.parseEther("3"), feeTerms);
+      await expect(reserveGameTx(fixture, overBudget, user))
+        .to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+      await expect(reserveGameTx(fixture, { ...request, tokenPlayer1: token.target, tokenPlayer2: token.target }, user))
+        .to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+      const extraRecipient = [...feeTerms.fees, { recipient: stranger.address, basisPoints: 50 }];
+      await expect(reserveGameTx(fixture, { ...request, fees: extraRecipient }, user))
+        .to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+      await reserveGameTx(fixture, request, user);
+
+      await time.increaseTo(expiresAt);
+      const later = await buildGame(fixture, 9102n, ethers.parseEther("1"), feeTerms);
+      await expect(reserveGameTx(fixture, later, user)).to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+
+      await expect(wallet.connect(owner).revokeSessionKey(user.address))
+        .to.emit(wallet, "SessionKeyRevoked")
+        .withArgs(user.address);
+      expect((await wallet.getSessionKey(user.address)).expiresAt).to.equal(0n);
+      await expect(reserveGameTx(fixture, later, user)).to.be.revertedWithCustomError(wallet, "BadSignature");
+      await expect(wallet.connect(owner).revokeSessionKey(user.address))
+        .to.be.revertedWithCustomError(wallet, "SessionKeyNotAllowed");
+    });
+  });
+
+  describe("smart-contract owners", () => {
+    async function contractOwnerFixture() {
+      const base = await deployFixture();
+      const { factory, factoryOwner, owner, user } = base;
+      const Account = await ethers.getContractFactory("ERC1271Owner");
+      const account = await Account.deploy(user.address);
+      await account.waitForDeployment();
+
+      const accountWalletAddress = await factory.predictBattleWalletAddress(account.target);
+      await factory.connect(factoryOwner).deployBattleWallet(account.target);
+      const accountWallet = await ethers.getContractAt("BattleWallet", accountWalletAddress);
+      await owner.sendTransaction({ to: accountWalletAddress, value: ethers.parseEther("10") });
+
+      // owner-only calls go through the account
+      const setApproval = accountWallet.interface.encodeFunctionData("setApprovalRequired", [true]);
+      await account.connect(user).execute(accountWalletAddress, 0, setApproval);
+      return { ...base, account, accountWallet, accountWalletAddress };
+    }
+
+    it("accepts reservation approvals validated through ERC-1271", async () => {
+      const {
+        chainId,
+        factory,
+        adminSigner,
+        owner,
+        user,
+        stranger,
+        wallet,
+        walletAddress,
+        accountWallet,
+        accountWalletAddress,
+      } = await loadFixture(contractOwnerFixture);
+      expect(await accountWallet.getApprovalRequired()).to.equal(true);
+
+      const request = withFactory(factory, {
+        gameId: 9501n,
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: accountWalletAddress,
+        player2: walletAddress,
+        noncePlayer1: await accountWallet.getCurrentNonce(),
+        noncePlayer2: await wallet.getCurrentNonce(),
+      });
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const reserveSig = await signReserve(adminSigner, factoryDomain, request);
+      const walletDomain = buildWalletDomain(accountWalletAddress, chainId);
+
+      const strangerApproval = await signReserve(stranger, walletDomain, request);
+      await expect(relayReserveTx(factory, owner, request, reserveSig, { [accountWalletAddress]: strangerApproval }))
+        .to.be.revertedWithCustomError(accountWallet, "BadSignature");
+
+      const accountApproval = await signReserve(user, walletDomain, request);
+      await expect(relayReserveTx(factory, owner, request, reserveSig, { [accountWalletAddress]: accountApproval }))
+        .to.emit(accountWallet, "Reserved")
+        .withArgs(request.gameId, walletAddress, request.amountPlayer2, request.amountPlayer1, ethers.ZeroAddress, ethers.ZeroAddress, anyValue, []);
+    });
+
+    it("authorizes proxy upgrades validated through ERC-1271", async () => {
+      const { chainId, factory, factoryOwner, user, stranger, accountWalletAddress } =
+        await loadFixture(contractOwnerFixture);
+      const proxy = await ethers.getContractAt("BattleWalletProxy", accountWalletAddress);
+      const WalletV2 = await ethers.getContractFactory("BattleWalletV2");
+      const newImplementation = await WalletV2.deploy();
+      await newImplementation.waitForDeployment();
+
+      const nonce = await proxy.upgradeNonce();
+      const proxyDomain = buildProxyDomain(accountWalletAddress, chainId);
+      const strangerSig = await signUpgrade(stranger, proxyDomain, accountWalletAddress, newImplementation.target, "0x", nonce);
+      await expect(
+        factory
+          .connect(factoryOwner)
+          .upgradeBattleWallet(accountWalletAddress, newImplementation.target, "0x", strangerSig),
+      ).to.be.revertedWithCustomError(proxy, "InvalidSignature");
+
+      const signature = await signUpgrade(user, proxyDomain, accountWalletAddress, newImplementation.target, "0x", nonce);
+      await factory
+        .connect(factoryOwner)
+        .upgradeBattleWallet(accountWalletAddress, newImplementation.target, "0x", signature);
+      const upgradedWallet = await ethers.getContractAt("BattleWalletV2", accountWalletAddress);
+      expect(await upgradedWallet.version()).to.equal(2n);
+    });
+  });
+
+  describe("spending limits", () => {
+    const NO_LIMITS = { maxWager: 0n, maxReserved: 0n, maxDailyLoss: 0n, maxWeeklyLoss: 0n };
+    const ONE_DAY = 24 * 60 * 60;
+
+    async function limitsFixture() {
+      const base = await deployFixture();
+      // long ttl so reservations outlive the rolling windows under test
+      await base.factory.connect(base.factoryOwner).setReservationTtl(10 * ONE_DAY);
+      return base;
+    }
+
+    it("enforces the maximum wager and maximum reserved separately per asset", async () => {
+      const fixture = await loadFixture(limitsFixture);
+      const { wallet, owner, token, walletAddress, opponentWalletAddress } = fixture;
+      await token.transfer(walletAddress, ethers.parseEther("100"));
+      await token.transfer(opponentWalletAddress, ethers.parseEther("100"));
+
+      const limits = { ...NO_LIMITS, maxWager: ethers.parseEther("5"), maxReserved: ethers.parseEther("8") };
+      await expect(wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, limits))
+        .to.emit(wallet, "SpendingLimitsUpdated")
+        .withArgs(ethers.ZeroAddress, Object.values(limits));
+
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7001n, ethers.parseEther("6"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+      await reserveGameTx(fixture, await buildGame(fixture, 7002n, ethers.parseEther("5")));
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7003n, ethers.parseEther("4"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+      await reserveGameTx(fixture, await buildGame(fixture, 7004n, ethers.parseEther("3")));
+
+      // token wagers have their own, unset limits
+      const inToken = { tokenPlayer1: token.target, tokenPlayer2: token.target };
+      await reserveGameTx(fixture, await buildGame(fixture, 7005n, ethers.parseEther("50"), inToken));
+
+      const [reserved] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(reserved).to.equal(ethers.parseEther("8"));
+      await expect(wallet.connect(owner).setSpendingLimits(token.target, limits))
+        .to.emit(wallet, "SpendingLimitsUpdated");
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7006n, ethers.parseEther("1"), inToken)))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+    });
+
+    it("applies tighter limits at once and looser limits after the delay", async () => {
+      const fixture = await loadFixture(limitsFixture);
+      const { wallet, owner, stranger } = fixture;
+      const strict = { ...NO_LIMITS, maxWager: ethers.parseEther("5") };
+      const relaxed = { ...NO_LIMITS, maxWager: ethers.parseEther("10") };
+
+      await expect(wallet.connect(stranger).setSpendingLimits(ethers.ZeroAddress, strict))
+        .to.be.revertedWithCustomError(wallet, "SenderNotAllowed");
+      await wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, strict);
+
+      const tx = wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, relaxed);
+      await expect(tx).to.emit(wallet, "SpendingLimitsIncreaseScheduled");
+      const effectiveAt = BigInt(await time.latest()) + BigInt(ONE_DAY);
+      let [active, pending, pendingEffectiveAt] = await wallet.getSpendingLimits(ethers.ZeroAddress);
+      expect(active.maxWager).to.equal(ethers.parseEther("5"));
+      expect(pending.maxWager).to.equal(ethers.parseEther("10"));
+      expect(pendingEffectiveAt).to.equal(effectiveAt);
+
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7101n, ethers.parseEther("8"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+      await time.increaseTo(effectiveAt);
+      [active, , pendingEffectiveAt] = await wallet.getSpendingLimits(ethers.ZeroAddress);
+      expect(active.maxWager).to.equal(ethers.parseEther("10"));
+      expect(pendingEffectiveAt).to.equal(0n);
+      await reserveGameTx(fixture, await buildGame(fixture, 7102n, ethers.parseEther("8")));
+
+      // lifting the limit entirely is a loosening, and a tighter call cancels it
+      await wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, NO_LIMITS);
+      await wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, strict);
+      [active, pending, pendingEffectiveAt] = await wallet.getSpendingLimits(ethers.ZeroAddress);
+      expect(active.maxWager).to.equal(ethers.parseEther("5"));
+      expect(pendingEffectiveAt).to.equal(0n);
+      await time.increase(ONE_DAY);
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7103n, ethers.parseEther("8"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+    });
+
+    it("caps rolling net losses over 24 hours and 7 days", async () => {
+      const fixture = await loadFixture(limitsFixture);
+      const { wallet, owner, walletAddress, opponentWalletAddress } = fixture;
+      const limits = {
+        ...NO_LIMITS,
+        maxDailyLoss: ethers.parseEther("10"),
+        maxWeeklyLoss: ethers.parseEther("15"),
+      };
+      await wallet.connect(owner).setSpendingLimits(ethers.ZeroAddress, limits);
+
+      await reserveGameTx(fixture, await buildGame(fixture, 7201n, ethers.parseEther("6")));
+      await settleGameTx(fixture, 7201n, opponentWalletAddress, walletAddress);
+      let [, dailyNetLoss, weeklyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(dailyNetLoss).to.equal(ethers.parseEther("6"));
+      expect(weeklyNetLoss).to.equal(ethers.parseEther("6"));
+
+      // open wagers count as potential losses
+      await reserveGameTx(fixture, await buildGame(fixture, 7202n, ethers.parseEther("3")));
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7203n, ethers.parseEther("2"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+
+      // a win offsets earlier losses
+      await settleGameTx(fixture, 7202n, walletAddress, opponentWalletAddress);
+      [, dailyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(dailyNetLoss).to.equal(ethers.parseEther("3"));
+      await reserveGameTx(fixture, await buildGame(fixture, 7204n, ethers.parseEther("7")));
+      await settleGameTx(fixture, 7204n, opponentWalletAddress, walletAddress);
+
+      // the daily window rolls over while the weekly one still counts every result
+      await time.increase(ONE_DAY);
+      [, dailyNetLoss, weeklyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(dailyNetLoss).to.equal(0n);
+      expect(weeklyNetLoss).to.equal(ethers.parseEther("10"));
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7205n, ethers.parseEther("6"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+      await reserveGameTx(fixture, await buildGame(fixture, 7206n, ethers.parseEther("5")));
+
+      await time.increase(6 * ONE_DAY);
+      [, , weeklyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(weeklyNetLoss).to.equal(0n);
+      await reserveGameTx(fixture, await buildGame(fixture, 7207n, ethers.parseEther("5")));
+    });
+
+    it("settles a loss that exceeds a cap tightened after the reservation", async () => {
+      const fixture = await loadFixture(limitsFixture);
+      const { wallet, owner, walletAddress, opponentWalletAddress } = fixture;
+      await reserveGameTx(fixture, await buildGame(fixture, 7311n, ethers.parseEther("10")));
+      await wallet
+        .connect(owner)
+        .setSpendingLimits(ethers.ZeroAddress, { ...NO_LIMITS, maxDailyLoss: ethers.parseEther("4") });
+
+      // the cap is only enforced when reserving, so the loser cannot block its own settlement
+      await expect(settleGameTx(fixture, 7311n, opponentWalletAddress, walletAddress)).to.emit(wallet, "ReservationSettled");
+      const [, dailyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(dailyNetLoss).to.equal(ethers.parseEther("10"));
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7312n, ethers.parseEther("1"))))
+        .to.be.revertedWithCustomError(wallet, "SpendingLimitExceeded");
+    });
+
+    it("clears the daily loss of results that left both windows during an idle gap", async () => {
+      const fixture = await loadFixture(limitsFixture);
+      const { wallet, owner, walletAddress, opponentWalletAddress } = fixture;
+      await wallet
+        .connect(owner)
+        .setSpendingLimits(ethers.ZeroAddress, { ...NO_LIMITS, maxDailyLoss: ethers.parseEther("15") });
+
+      await reserveGameTx(fixture, await buildGame(fixture, 7301n, ethers.parseEther("10")));
+      await settleGameTx(fixture, 7301n, opponentWalletAddress, walletAddress);
+
+      await time.increase(8 * ONE_DAY);
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 7302n, ethers.parseEther("6"))))
+        .to.emit(wallet, "Reserved");
+      const [, dailyNetLoss, weeklyNetLoss] = await wallet.getSpendingUsage(ethers.ZeroAddress);
+      expect(dailyNetLoss).to.equal(0n);
+      expect(weeklyNetLoss).to.equal(0n);
+    });
+  });
+
+  describe("emergency pause", () => {
+    async function pauseFixture() {
+      const base = await deployFixture();
+      const { chainId, factory, factoryOwner, user, token, walletAddress, opponentWalletAddress } = base;
+      await factory.connect(factoryOwner).setGuardian(user.address);
+      await token.transfer(walletAddress, ethers.parseEther("100"));
+      await token.transfer(opponentWalletAddress, ethers.parseEther("100"));
+
+      const requests = [];
+      for (const [gameId, wagerToken] of [[6001n, ethers.ZeroAddress], [6002n, token.target]]) {
+        const request = await buildGame(base, gameId, ethers.parseEther("10"), {
+          tokenPlayer1: wagerToken,
+          tokenPlayer2: wagerToken,
+        });
+        await reserveGameTx(base, request);
+        requests.push(request);
+      }
+      return { ...base, factoryDomain: buildFactoryDomain(factory, chainId), requests };
+    }
+
+    it("lets the guardian or owner pause and only the owner unpause", async () => {
+      const { factory, factoryOwner, user, stranger } = await loadFixture(pauseFixture);
+      expect(await factory.guardian()).to.equal(user.address);
+      await expect(factory.connect(stranger).setGuardian(stranger.address))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(stranger.address);
+      await expect(factory.connect(stranger).pause(false))
+        .to.be.revertedWithCustomError(factory, "Unauthorized");
+
+      await expect(factory.connect(user).pause(false))
+        .to.emit(factory, "Paused")
+        .withArgs(user.address);
+      await expect(factory.connect(user).unpause())
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+      await expect(factory.connect(factoryOwner).unpause())
+        .to.emit(factory, "Unpaused")
+        .withArgs(factoryOwner.address);
+      await expect(factory.connect(factoryOwner).pause(false)).to.emit(factory, "Paused");
+      // only the owner voids once the factory is already paused
+      await expect(factory.connect(user).pause(true)).to.be.revertedWithCustomError(factory, "Unauthorized");
+      await expect(factory.connect(factoryOwner).pause(true)).to.emit(factory, "ReservationsVoided").withArgs(1n);
+    });
+
+    it("blocks reservations and settlements while cancels, releases and withdrawals continue", async () => {
+      const fixture = await loadFixture(pauseFixture);
+      const { wallet, walletAddress, factory, owner, user, adminSigner, opponentWalletAddress, factoryDomain, requests } =
+        fixture;
+      await factory.connect(user).pause(false);
+
+      await expect(reserveGameTx(fixture, await buildGame(fixture, 6003n)))
+        .to.be.revertedWithCustomError(factory, "EnforcedPause");
+      await expect(settleGameTx(fixture, requests[0].gameId))
+        .to.be.revertedWithCustomError(factory, "EnforcedPause");
+
+      const expiresAt = await buildExpiration();
+      const cancelSig = await signCancel(
+        adminSigner,
+        factoryDomain,
+        requests[0].gameId,
+        walletAddress,
+        opponentWalletAddress,
+        expiresAt,
+      );
+      await expect(
+        relayCancelTx(factory, owner, walletAddress, opponentWalletAddress, requests[0].gameId, expiresAt, cancelSig),
+      )
+        .to.emit(wallet, "ReservationCancelled")
+        .withArgs(requests[0].gameId);
+
+      await expect(wallet.connect(owner).withdraw(ethers.parseEther("100")))
+        .to.emit(wallet, "EthWithdrawn")
+        .withArgs(owner.address, ethers.parseEther("100"));
+
+      // the token reservation is still locked until it expires
+      await expect(wallet.connect(owner).withdrawToken(requests[1].tokenPlayer1, ethers.parseEther("100")))
+        .to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+      await time.increase(Number(await factory.reservationTtl()) + 1);
+      await wallet.connect(owner).releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      await wallet.connect(owner).withdrawToken(requests[1].tokenPlayer1, ethers.parseEther("100"));
+    });
+
+    it("voids outstanding reservations so funds unlock immediately", async () => {
+      const fixture = await loadFixture(pauseFixture);
+      const {
+        wallet,
+        walletAddress,
+        opponentWallet,
+        factory,
+        factoryOwner,
+        owner,
+        user,
+        token,
+        opponentWalletAddress,
+        requests,
+      } = fixture;
+
+      await expect(factory.connect(user).pause(true))
+        .to.emit(factory, "ReservationsVoided")
+        .withArgs(1n);
+      expect(await factory.reservationEpoch()).to.equal(1n);
+      // the guardian voids once per pause; further voids need the owner
+      await expect(factory.connect(user).pause(true)).to.be.revertedWithCustomError(factory, "Unauthorized");
+
+      // views reflect the void before the wallet has synced
+      const totals = await wallet.getTotalReserved(token.target);
+      expect(totals[0]).to.equal(0n);
+      expect(totals[1]).to.equal(0n);
+      expect(await wallet.getAllGames()).to.deep.equal([]);
+      expect((await wallet.getReservationDetails(requests[0].gameId))[4]).to.equal(false);
+
+      await expect(wallet.connect(owner).withdrawToken(token.target, ethers.parseEther("100")))
+        .to.emit(wallet, "ReservationsVoided")
+        .withArgs(1n);
+      await wallet.connect(owner).withdraw(ethers.parseEther("100"));
+      expect(await wallet.reservationEpoch()).to.equal(1n);
+
+      // signatures issued before the void no longer settle after unpausing
+      await factory.connect(factoryOwner).unpause();
+      await expect(settleGameTx(fixture, requests[1].gameId, walletAddress, opponentWalletAddress))
+        .to.be.revertedWithCustomError(opponentWallet, "GameNotFound");
+
+      await owner.sendTransaction({ to: walletAddress, value: ethers.parseEther("5") });
+      await reserveGameTx(fixture, await buildGame(fixture, 6004n, ethers.parseEther("5")));
+      expect(await wallet.getAllGames()).to.deep.equal([6004n]);
+      expect(await opponentWallet.getAllGames()).to.deep.equal([6004n]);
+      expect((await opponentWallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(ethers.parseEther("5"));
+    });
+
+    it("voids any number of reservations at the same cost", async () => {
+      const fixture = await loadFixture(pauseFixture);
+      const { wallet, factory, user, owner, token } = fixture;
+      for (let i = 0n; i < 40n; i++) {
+        await reserveGameTx(fixture, await buildGame(fixture, 6100n + i));
+      }
+      expect(await wallet.getGameCount()).to.equal(42n);
+
+      await factory.connect(user).pause(true);
+      const tx = await wallet.connect(owner).withdraw(ethers.parseEther("100"));
+      // clearing 42 entries one by one would cost close to a million gas
+      expect((await tx.wait()).gasUsed).to.be.lessThan(110_000n);
+      expect(await wallet.getAllGames()).to.deep.equal([]);
+      expect(await wallet.totalReservedTokens(token.target)).to.equal(0n);
+      expect((await wallet.getReservationDetails(6100n))[4]).to.equal(false);
+    });
+  });
+
+  describe("approver set", () => {
+    async function approverSetFixture() {
+      const base = await deployFixture();
+      const { factory, factoryOwner, user, stranger } = base;
+      await factory.connect(factoryOwner).addApprover(user.address);
+      await factory.connect(factoryOwner).addApprover(stranger.address);
+      return base;
+    }
+
+    it("manages approvers, the global threshold and amount tiers", async () => {
+      const { factory, factoryOwner, adminSigner, user, stranger, token } = await loadFixture(approverSetFixture);
+      expect(await factory.getApprovers()).to.deep.equal([adminSigner.address, user.address, stranger.address]);
+      expect(await factory.approvalThreshold()).to.equal(1n);
+
+      await expect(factory.connect(factoryOwner).addApprover(user.address))
+        .to.be.revertedWithCustomError(factory, "InvalidApprover");
+      await expect(factory.connect(user).setApprovalThreshold(2))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+      await expect(factory.connect(factoryOwner).setApprovalThreshold(4))
+        .to.be.revertedWithCustomError(factory, "InvalidThreshold");
+      await expect(factory.connect(factoryOwner).setApprovalThreshold(2))
+        .to.emit(factory, "ApprovalThresholdUpdated")
+        .withArgs(2n);
+
+      await expect(factory.connect(factoryOwner).removeApprover(stranger.address))
+        .to.emit(factory, "ApproverRemoved")
+        .withArgs(stranger.address);
+      await expect(factory.connect(factoryOwner).removeApprover(user.address))
+        .to.be.revertedWithCustomError(factory, "InvalidThreshold");
+
+      await expect(
+        factory.connect(factoryOwner).setApprovalTiers(token.target, [
+          { minAmount: ethers.parseEther("10"), threshold: 2 },
+          { minAmount: ethers.parseEther("5"), threshold: 2 },
+        ]),
+      ).to.be.revertedWithCustomError(factory, "InvalidThreshold");
+      await expect(
+        factory.connect(factoryOwner).setApprovalTiers(token.target, [
+          { minAmount: ethers.parseEther("10"), threshold: 3 },
+        ]),
+      ).to.be.revertedWithCustomError(factory, "InvalidThreshold");
+      await expect(
+        factory.connect(factoryOwner).setApprovalTiers(token.target, [
+          { minAmount: ethers.parseEther("10"), threshold: 2 },
+        ]),
+      ).to.emit(factory, "ApprovalTiersUpdated");
+      expect(await factory.getRequiredApprovals(token.target, ethers.parseEther("20"))).to.equal(2n);
+
+      // collapsing back to a single approver resets the threshold
+      await expect(factory.connect(factoryOwner).setApprover(adminSigner.address))
+        .to.emit(factory, "ApproverRemoved")
+        .withArgs(user.address)
+        .and.to.emit(factory, "ApprovalThresholdUpdated")
+        .withArgs(1n);
+      expect(await factory.getApprovers()).to.deep.equal([adminSigner.address]);
+    });
+
+    it("keeps enough approvers for every amount tier", async () => {
+      const { factory, factoryOwner, user, stranger, token } = await loadFixture(approverSetFixture);
+      await factory.connect(factoryOwner).setApprovalTiers(ethers.ZeroAddress, [
+        { minAmount: ethers.parseEther("10"), threshold: 2 },
+        { minAmount: ethers.parseEther("100"), threshold: 3 },
+      ]);
+      await factory.connect(factoryOwner).setApprovalTiers(token.target, [
+        { minAmount: ethers.parseEther("10"), threshold: 2 },
+      ]);
+
+      // the global threshold is one, but the top ether tier needs all three approvers
+      await expect(factory.connect(factoryOwner).removeApprover(stranger.address))
+        .to.be.revertedWithCustomError(factory, "InvalidThreshold");
+      await factory.connect(factoryOwner).setApprovalTiers(ethers.ZeroAddress, []);
+      await expect(factory.connect(factoryOwner).removeApprover(stranger.address))
+        .to.emit(factory, "ApproverRemoved")
+        .withArgs(stranger.address);
+      await expect(factory.connect(factoryOwner).removeApprover(user.address))
+        .to.be.revertedWithCustomError(factory, "InvalidThreshold");
+    });
+
+    it("requires enough distinct approver signatures", async () => {
+      const fixture = await loadFixture(approverSetFixture);
+      const { chainId, wallet, factory, factoryOwner, adminSigner, user, stranger, owner, opponentWalletAddress } =
+        fixture;
+      await factory.connect(factoryOwner).setApprovalThreshold(2);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const request = await buildGame(fixture, 7001n);
+      const adminSig = await signReserve(adminSigner, factoryDomain, request);
+      const userSig = await signReserve(user, factoryDomain, request);
+      const ownerSig = await signReserve(owner, factoryDomain, request);
+
+      await expect(relayReserveTx(factory, stranger, request, adminSig))
+        .to.be.revertedWithCustomError(factory, "InsufficientApprovals")
+        .withArgs(1n, 2n);
+      await expect(relayReserveTx(factory, stranger, request, ethers.concat([adminSig, adminSig])))
+        .to.be.revertedWithCustomError(factory, "DuplicateSigner");
+      await expect(relayReserveTx(factory, stranger, request, ethers.concat([adminSig, ownerSig])))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+      await expect(relayReserveTx(factory, stranger, request, ethers.concat([adminSig, userSig])))
+        .to.emit(wallet, "Reserved")
+        .withArgs(7001n, opponentWalletAddress, ethers.parseEther("1"), ethers.parseEther("1"), ethers.ZeroAddress, ethers.ZeroAddress, anyValue, []);
+    });
+
+    it("raises the threshold for wagers in a higher amount tier", async () => {
+      const fixture = await loadFixture(approverSetFixture);
+      const { chainId, wallet, factory, factoryOwner, adminSigner, user, stranger } = fixture;
+      const { walletAddress, opponentWalletAddress } = fixture;
+      await factory.connect(factoryOwner).setApprovalTiers(ethers.ZeroAddress, [
+        { minAmount: ethers.parseEther("10"), threshold: 2 },
+      ]);
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      await reserveGameTx(fixture, await buildGame(fixture, 7101n));
+
+      const large = await buildGame(fixture, 7102n, ethers.parseEther("10"));
+      const largeSig = await signReserve(adminSigner, factoryDomain, large);
+      await expect(relayReserveTx(factory, stranger, large, largeSig))
+        .to.be.revertedWithCustomError(factory, "InsufficientApprovals")
+        .withArgs(1n, 2n);
+      await relayReserveTx(
+        factory,
+        stranger,
+        large,
+        ethers.concat([largeSig, await signReserve(user, factoryDomain, large)]),
+      );
+
+      // the loser's reservation decides the tier of a settlement
+      await settleGameTx(fixture, 7101n);
+      const expiresAt = await buildExpiration();
+      const largeSettlement = withFactory(factory, { gameId: 7102n, winner: opponentWalletAddress, loser: walletAddress });
+      const settleSig = await signSettlement(adminSigner, factoryDomain, largeSettlement, expiresAt);
+      await expect(relaySettleTx(factory, stranger, largeSettlement, expiresAt, settleSig))
+        .to.be.revertedWithCustomError(factory, "InsufficientApprovals")
+        .withArgs(1n, 2n);
+
+      // a batch signed by one approver skips the item that needs two
+      const { root, proofs } = buildMerkleTree([hashSettleLeaf(largeSettlement, expiresAt)]);
+      const batchSig = await signBatch(adminSigner, factoryDomain, root, expiresAt);
+      const items = [{ request: largeSettlement, proof: proofs[0] }];
+      await expect(factory.connect(stranger).relaySettleBatch(items, root, expiresAt, batchSig, true))
+        .to.be.revertedWithCustomError(factory, "InsufficientApprovals")
+        .withArgs(1n, 2n);
+      await expect(factory.connect(stranger).relaySettleBatch(items, root, expiresAt, batchSig, false))
+        .to.emit(factory, "BatchItemProcessed")
+        .withArgs(root, 0n, 7102n, false);
+
+      const cosigned = ethers.concat([settleSig, await signSettlement(user, factoryDomain, largeSettlement, expiresAt)]);
+      await relaySettleTx(factory, stranger, largeSettlement, expiresAt, cosigned);
+      expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+    });
+  });
+
+  describe("approver rotation", () => {
+    async function rotationFixture() {
+      const base = await deployFixture();
+      const { chainId, factory, walletAddress, opponentWalletAddress } = base;
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      await reserveGameTx(base, await buildGame(base, 8001n));
+      const settlement = withFactory(factory, { gameId: 8001n, winner: opponentWalletAddress, loser: walletAddress });
+      return { ...base, factoryDomain, settlement };
+    }
+
+    it("accepts the old approver during the grace window of a planned rotation", async () => {
+      const { wallet, factory, factoryOwner, adminSigner, user, stranger, factoryDomain, settlement } =
+        await loadFixture(rotationFixture);
+      expect(await factory.approverRotationGrace()).to.equal(3600n);
+      await expect(factory.connect(factoryOwner).setApproverRotationGrace(7n * 24n * 3600n + 1n))
+        .to.be.revertedWithCustomError(factory, "InvalidRotationGrace");
+      await expect(factory.connect(factoryOwner).setApproverRotationGrace(600))
+        .to.emit(factory, "ApproverRotationGraceUpdated")
+        .withArgs(600n);
+
+      const expiresAt = await buildExpiration();
+      const inFlight = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt);
+      await expect(factory.connect(stranger).rotateApprover(adminSigner.address, user.address, false))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(stranger.address);
+      await expect(factory.connect(factoryOwner).rotateApprover(stranger.address, user.address, false))
+        .to.be.revertedWithCustomError(factory, "InvalidApprover");
+
+      const tx = factory.connect(factoryOwner).rotateApprover(adminSigner.address, user.address, false);
+      await expect(tx).to.emit(factory, "ApproverRotated");
+      await expect(tx).to.not.emit(factory, "SignatureEpochUpdated");
+      const [replacement, validUntil] = await factory.getRetiredApprover(adminSigner.address);
+      expect(replacement).to.equal(user.address);
+      expect(validUntil).to.equal(BigInt(await time.latest()) + 600n);
+      expect(await factory.getApprovers()).to.deep.equal([user.address]);
+
+      // the retired key stands in for its replacement, so both together count once
+      await factory.connect(factoryOwner).addApprover(stranger.address);
+      await factory.connect(factoryOwner).setApprovalThreshold(2);
+      const replacementSig = await signSettlement(user, factoryDomain, settlement, expiresAt);
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, ethers.concat([inFlight, replacementSig])))
+        .to.be.revertedWithCustomError(factory, "DuplicateSigner");
+      await factory.connect(factoryOwner).setApprovalThreshold(1);
+
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, inFlight))
+        .to.emit(wallet, "ReservationSettled");
+
+      await time.increase(600);
+      const cancelExpiresAt = await buildExpiration();
+      const lateSig = await signCancel(
+        adminSigner,
+        factoryDomain,
+        8001n,
+        settlement.loser,
+        settlement.winner,
+        cancelExpiresAt,
+      );
+      await expect(
+        relayCancelTx(factory, stranger, settlement.loser, settlement.winner, 8001n, cancelExpiresAt, lateSig),
+      ).to.be.revertedWithCustomError(factory, "InvalidSignature");
+    });
+
+    it("voids every earlier signature on an emergency rotation", async () => {
+      const { wallet, factory, factoryOwner, adminSigner, user, stranger, factoryDomain, settlement } =
+        await loadFixture(rotationFixture);
+      await factory.connect(factoryOwner).addApprover(stranger.address);
+      const expiresAt = await buildExpiration();
+      const compromisedSig = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt);
+      const untouchedSig = await signSettlement(stranger, factoryDomain, settlement, expiresAt);
+
+      const tx = factory.connect(factoryOwner).rotateApprover(adminSigner.address, user.address, true);
+      await expect(tx).to.emit(factory, "SignatureEpochUpdated").withArgs(1n);
+      await expect(tx).to.emit(factory, "ApproverRotated").withArgs(adminSigner.address, user.address, 0n, true);
+      expect(await factory.signatureEpoch()).to.equal(1n);
+
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, compromisedSig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, untouchedSig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+      const staleKeySig = await signSettlement(adminSigner, factoryDomain, settlement, expiresAt, 1n);
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, staleKeySig))
+        .to.be.revertedWithCustomError(factory, "InvalidSignature");
+
+      const freshSig = await signSettlement(user, factoryDomain, settlement, expiresAt, 1n);
+      await expect(relaySettleTx(factory, stranger, settlement, expiresAt, freshSig))
+        .to.emit(wallet, "ReservationSettled");
+    });
+  });
+
+  describe("fee ledger", () => {
+    async function feeLedgerFixture() {
+      const base = await deployFixture();
+      const { factory, factoryOwner, token, feeWallet, walletAddress, opponentWalletAddress } = base;
+      await token.transfer(walletAddress, ethers.parseEther("100"));
+      await token.transfer(opponentWalletAddress, ethers.parseEther("100"));
+      await factory.connect(factoryOwner).setFeeRecipient(feeWallet.address, true);
+      return base;
+    }
+
+    it("lets a recipient claim fees from several games and assets at once", async () => {
+      const fixture = await loadFixture(feeLedgerFixture);
+      const { factory, token, feeWallet, stranger } = fixture;
+      const feeTerms = { fees: [{ recipient: feeWallet.address, basisPoints: 1000 }] };
+      const tokenTerms = { ...feeTerms, tokenPlayer1: token.target, tokenPlayer2: token.target };
+      await reserveGameTx(fixture, await buildGame(fixture, 8101n, ethers.parseEther("10"), feeTerms));
+      await expect(settleGameTx(fixture, 8101n))
+        .to.emit(factory, "FeesAccrued")
+        .withArgs(8101n, feeWallet.address, ethers.ZeroAddress, ethers.parseEther("1"));
+      await reserveGameTx(fixture, await buildGame(fixture, 8102n, ethers.parseEther("10"), feeTerms));
+      await settleGameTx(fixture, 8102n);
+      await reserveGameTx(fixture, await buildGame(fixture, 8103n, ethers.parseEther("10"), tokenTerms));
+      await settleGameTx(fixture, 8103n);
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("2"));
+      expect(await factory.totalAccruedFees(token.target)).to.equal(ethers.parseEther("1"));
+
+      const etherBefore = await ethers.provider.getBalance(stranger.address);
+      const tx = factory.connect(feeWallet).claimFees([ethers.ZeroAddress, token.target], stranger.address);
+      await expect(tx)
+        .to.emit(factory, "FeesClaimed")
+        .withArgs(feeWallet.address, ethers.ZeroAddress, stranger.address, ethers.parseEther("2"));
+      await expect(tx)
+        .to.emit(factory, "FeesClaimed")
+        .withArgs(feeWallet.address, token.target, stranger.address, ethers.parseEther("1"));
+      expect((await ethers.provider.getBalance(stranger.address)) - etherBefore).to.equal(ethers.parseEther("2"));
+      expect(await token.balanceOf(stranger.address)).to.equal(ethers.parseEther("1"));
+      expect(await factory.accruedFees(feeWallet.address, ethers.ZeroAddress)).to.equal(0n);
+      expect(await factory.totalAccruedFees(ethers.ZeroAddress)).to.equal(0n);
+
+      await expect(factory.connect(feeWallet).claimFees([ethers.ZeroAddress], stranger.address))
+        .to.not.emit(factory, "FeesClaimed");
+    });
+
+    it("settles even when the fee recipient cannot receive ether", async () => {
+      const fixture = await loadFixture(feeLedgerFixture);
+      const { wallet, factory, factoryOwner, token } = fixture;
+      // the token contract has no receive function, so a pushed fee would revert
+      await factory.connect(factoryOwner).setFeeRecipient(token.target, true);
+      const feeTerms = { fees: [{ recipient: token.target, basisPoints: 1000 }] };
+      await reserveGameTx(fixture, await buildGame(fixture, 8201n, ethers.parseEther("10"), feeTerms));
+      await expect(settleGameTx(fixture, 8201n)).to.emit(wallet, "ReservationSettled");
+      expect(await factory.accruedFees(token.target, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("only credits fees sent by its own wallets", async () => {
+      const { factory, token, stranger } = await loadFixture(feeLedgerFixture);
+      await expect(
+        factory.connect(stranger).accrueFees(1n, ethers.ZeroAddress, [stranger.address], [1n], { value: 1n }),
+      ).to.be.revertedWithCustomError(factory, "InvalidWallet");
+      await token.transfer(factory.target, 5n);
+      await expect(
+        factory.connect(stranger).accrueFees(1n, token.target, [stranger.address], [5n]),
+      ).to.be.revertedWithCustomError(factory, "InvalidWallet");
+    });
+  });
+
+  describe("ownership transfer", () => {
+    it("transfers wallet ownership in two steps and moves the factory index", async () => {
+      const { wallet, walletAddress, factory, owner, user, stranger } = await loadFixture(deployFixture);
+
+      expect(await factory.walletOf(owner.address)).to.equal(walletAddress);
+
+      await expect(wallet.connect(stranger).transferOwnership(user.address)).to.be.revertedWithCustomError(
+        wallet,
+        "SenderNotAllowed"
+      );
+      await expect(wallet.connect(owner).transferOwnership(user.address))
+        .to.emit(wallet, "OwnershipTransferStarted")
+        .withArgs(owner.address, user.address);
+      expect(await wallet.pendingOwner()).to.equal(user.address);
+      // nothing changes until the transfer is accepted
+      expect(await wallet.owner()).to.equal(owner.address);
+
+      await expect(wallet.connect(stranger).acceptOwnership()).to.be.revertedWithCustomError(
+        wallet,
+        "SenderNotAllowed"
+      );
+      await expect(wallet.connect(user).acceptOwnership())
+        .to.emit(wallet, "OwnershipTransferred")
+        .withArgs(owner.address, user.address)
+        .and.to.emit(factory, "BattleWalletOwnerUpdated")
+        .withArgs(walletAddress, owner.address, user.address);
+
+      expect(await wallet.owner()).to.equal(user.address);
+      expect(await wallet.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await factory.walletOf(owner.address)).to.equal(ethers.ZeroAddress);
+      expect(await factory.walletOf(user.address)).to.equal(walletAddress);
+
+      await expect(wallet.connect(owner).withdraw(ethers.parseEther("1"))).to.be.revertedWithCustomError(
+        wallet,
+        "SenderNotAllowed"
+      );
+      await expect(wallet.connect(user).withdraw(ethers.parseEther("1")))
+        .to.emit(wallet, "EthWithdrawn")
+        .withArgs(user.address, ethers.parseEther("1"));
+
+      // the new owner already controls a wallet
+      await expect(factory.connect(user).deployBattleWallet(user.address)).to.be.revertedWithCustomError(
+        factory,
+        "OwnerHasWallet"
+      );
+    });
+
+    it("cancels a pending transfer when the zero address is proposed", async () => {
+      const { wallet, owner, user } = await loadFixture(deployFixture);
+      await wallet.connect(owner).transferOwnership(user.address);
+      await wallet.connect(owner).transferOwnership(ethers.ZeroAddress);
+      await expect(wallet.connect(user).acceptOwnership()).to.be.revertedWithCustomError(
+        wallet,
+        "SenderNotAllowed"
+      );
+      expect(await wallet.owner()).to.equal(owner.address);
+    });
+
+    it("rejects transfers to an owner that already has a wallet", async () => {
+      const { wallet, factory, owner, opponent } = await loadFixture(deployFixture);
+      await wallet.connect(owner).transferOwnership(opponent.address);
+      await expect(wallet.connect(opponent).acceptOwnership()).to.be.revertedWithCustomError(
+        factory,
+        "OwnerHasWallet"
+      );
+      expect(await wallet.owner()).to.equal(owner.address);
+    });
+
+    it("keeps reservations, approvals and upgrades working for the new owner", async () => {
+      const {
+        chainId,
+        wallet,
+        walletAddress,
+        factory,
+        owner,
+        user,
+        adminSigner,
+        factoryOwner,
+        opponentWalletAddress,
+      } = await loadFixture(deployFixture);
+      const nonces = new Map();
+      const factoryDomain = buildFactoryDomain(factory, chainId);
+      const walletDomain = buildWalletDomain(walletAddress, chainId);
+      const pending = withFactory(factory, {
+        gameId: await generateGameId(3000n),
+        amountPlayer1: ethers.parseEther("2"),
+        amountPlayer2: ethers.parseEther("2"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      await relayReserveTx(factory, owner, pending, await signReserve(adminSigner, factoryDomain, pending));
+      bumpNoncesAfterReserve(nonces, walletAddress, opponentWalletAddress);
+
+      await wallet.connect(owner).setApprovalRequired(true);
+      await wallet.connect(owner).transferOwnership(user.address);
+      await wallet.connect(user).acceptOwnership();
+
+      const [, , , , found] = await wallet.getReservationDetails(pending.gameId);
+      expect(found).to.equal(true);
+
+      const settlement = withFactory(factory, {
+        gameId: pending.gameId,
+        winner: opponentWalletAddress,
+        loser: walletAddress,
+      });
+      const settleExpiresAt = await buildExpiration();
+      const settleSig = await signSettlement(adminSigner, factoryDomain, settlement, settleExpiresAt);
+      await relaySettleTx(factory, owner, settlement, settleExpiresAt, settleSig);
+      expect((await wallet.getTotalReserved(ethers.ZeroAddress))[0]).to.equal(0n);
+
+      const next = withFactory(factory, {
+        gameId: await generateGameId(3001n),
+        amountPlayer1: ethers.parseEther("1"),
+        amountPlayer2: ethers.parseEther("1"),
+        player1: walletAddress,
+        player2: opponentWalletAddress,
+        ...assignNonces(nonces, walletAddress, opponentWalletAddress),
+      });
+      const nextSig = await signReserve(adminSigner, factoryDomain, next);
+      await expect(
+        relayReserveTx(factory, owner, next, nextSig, {
+          [ethers.getAddress(walletAddress)]: await signReserve(owner, walletDomain, next),
+        })
+      ).to.be.revertedWithCustomError(wallet, "BadSignature");
+      await relayReserveTx(factory, owner, next, nextSig, {
+        [ethers.getAddress(walletAddress)]: await signReserve(user, walletDomain, next),
+      });
+
+      const proxy = await ethers.getContractAt("BattleWalletProxy", walletAddress);
+      const WalletV2 = await ethers.getContractFactory("BattleWalletV2");
+      const newImplementation = await WalletV2.deploy();
+      await newImplementation.waitForDeployment();
+      const proxyDomain = buildProxyDomain(walletAddress, chainId);
+      const nonce = await proxy.upgradeNonce();
+      const oldOwnerSig = await signUpgrade(owner, proxyDomain, walletAddress, newImplementation.target, "0x", nonce);
+      await expect(
+        factory.connect(factoryOwner).upgradeBattleWallet(walletAddress, newImplementation.target, "0x", oldOwnerSig)
+      ).to.be.revertedWithCustomError(proxy, "InvalidSignature");
+      const newOwnerSig = await signUpgrade(user, proxyDomain, walletAddress, newImplementation.target, "0x", nonce);
+      await factory
+        .connect(factoryOwner)
+        .upgradeBattleWallet(walletAddress, newImplementation.target, "0x", newOwnerSig);
+      expect(await proxy.upgradeNonce()).to.equal(nonce + 1n);
+      expect(await wallet.owner()).to.equal(user.address);
+    });
+
+    it("only accepts owner index updates from deployed wallets", async () => {
+      const { factory, owner, stranger } = await loadFixture(deployFixture);
+      await expect(
+        factory.connect(stranger).updateWalletOwner(owner.address, stranger.address)
+      ).to.be.revertedWithCustomError(factory, "InvalidWallet");
+    });
+  });
+
+  describe("proxy upgrades", () => {
+    async function deployUpgradeImplementation() {
+      const WalletV2 = await ethers.getContractFactory("BattleWalletV2");
+      const implementation = await WalletV2.deploy();
+      await implementation.waitForDeployment();
+      return implementation;
+    }
+
+    it("requires owner signature to upgrade wallet", async () => {
+      const { chainId, factory, walletAddress, owner, factoryOwner } = await loadFixture(deployFixture);
+      const proxy = await ethers.getContractAt("BattleWalletProxy", walletAddress);
+      const newImplementation = await deployUpgradeImplementation();
 
       const nonce = await proxy.upgradeNonce();
       await expect(
@@ -2478,5 +5281,175 @@ describe("BattleWallet (EVM)", () => {
         .connect(factoryOwner)
         .upgradeBattleWallet(walletAddress, newImplementation.target, "0x", signature);
     });
+
+    // message types of the first factory, which signed one amount, a token flag and a single fee
+    const LEGACY_RESERVE_TYPES = {
+      RESERVE: [
+        { name: "gameId", type: "uint64" },
+        { name: "amount", type: "uint256" },
+        { name: "player1", type: "address" },
+        { name: "player2", type: "address" },
+        { name: "isToken", type: "bool" },
+        { name: "noncePlayer1", type: "uint64" },
+        { name: "noncePlayer2", type: "uint64" },
+        { name: "feeWallet", type: "address" },
+        { name: "feeBasisPoints", type: "uint16" },
+        { name: "factory", type: "address" },
+      ],
+    };
+    const LEGACY_SETTLE_TYPES = {
+      SETTLE: [
+        { name: "gameId", type: "uint64" },
+        { name: "winner", type: "address" },
+        { name: "loser", type: "address" },
+        { name: "factory", type: "address" },
+        { name: "expiresAt", type: "uint64" },
+      ],
+    };
+    const LEGACY_CANCEL_TYPES = {
+      CANCEL: [
+        { name: "gameId", type: "uint64" },
+        { name: "walletOne", type: "address" },
+        { name: "walletTwo", type: "address" },
+        { name: "factory", type: "address" },
+        { name: "expiresAt", type: "uint64" },
+      ],
+    };
+
+    it("leaves wallets created with the current layout unmigrated", async () => {
+      const fixture = await loadFixture(deployFixture);
+      const { wallet, owner } = fixture;
+      const request = await buildGame(fixture, 7401n, ethers.parseEther("1"), {
+        amountPlayer2: ethers.parseEther("3"),
+      });
+      await reserveGameTx(fixture, request);
+
+      await expect(wallet.connect(owner).migrateLegacyStorage()).to.be.revertedWithCustomError(wallet, "AlreadyMigrated");
+      await expect(wallet.connect(owner).migrateLegacyStorage()).to.be.revertedWithCustomError(wallet, "AlreadyMigrated");
+      const [amount, , , , found, opponentAmount] = await wallet.getReservationDetails(request.gameId);
+      expect([amount, found, opponentAmount]).to.deep.equal([ethers.parseEther("1"), true, ethers.parseEther("3")]);
+    });
+
+    it("keeps the state of a wallet deployed with the first implementation", async () => {
+      const [owner, factoryOwner, adminSigner, newOwner, opponent, feeWallet] = await ethers.getSigners();
+      const { chainId } = await ethers.provider.getNetwork();
+      const Token = await ethers.getContractFactory("TestToken");
+      const token = await Token.deploy("Test Token", "TEST", 18, ethers.parseEther("1000000"), owner.address);
+      await token.waitForDeployment();
+      const LegacyWallet = await ethers.getContractFactory("BattleWalletV1");
+      const legacyImplementation = await LegacyWallet.deploy();
+      await legacyImplementation.waitForDeployment();
+      const LegacyFactory = await ethers.getContractFactory("BattleWalletFactoryV1");
+      const legacyFactory = await LegacyFactory.deploy(
+        legacyImplementation.target,
+        factoryOwner.address,
+        adminSigner.address,
+        token.target,
+      );
+      await legacyFactory.waitForDeployment();
+
+      const walletAddress = await legacyFactory.predictBattleWalletAddress(owner.address);
+      await legacyFactory.deployBattleWallet(owner.address);
+      const opponentWalletAddress = await legacyFactory.predictBattleWalletAddress(opponent.address);
+      await legacyFactory.deployBattleWallet(opponent.address);
+      for (const address of [walletAddress, opponentWalletAddress]) {
+        await owner.sendTransaction({ to: address, value: ethers.parseEther("10") });
+        await token.transfer(address, 1000n);
+      }
+
+      const factoryDomain = buildFactoryDomain(legacyFactory, chainId);
+      const reserve = async (gameId, amount, isToken, feeBasisPoints) => {
+        const request = {
+          gameId,
+          amount,
+          player1: walletAddress,
+          player2: opponentWalletAddress,
+          isToken,
+          noncePlayer1: gameId - 1n,
+          noncePlayer2: gameId - 1n,
+          feeWallet: feeWallet.address,
+          feeBasisPoints,
+          factory: legacyFactory.target,
+        };
+        const signature = await adminSigner.signTypedData(factoryDomain, LEGACY_RESERVE_TYPES, request);
+        await legacyFactory.relayReserve(request, signature, EMPTY_SIG, EMPTY_SIG);
+      };
+      const settle = async (gameId, winner, loser) => {
+        const request = { gameId, winner, loser, factory: legacyFactory.target };
+        const expiresAt = await buildExpiration();
+        const signature = await adminSigner.signTypedData(factoryDomain, LEGACY_SETTLE_TYPES, { ...request, expiresAt });
+        await legacyFactory.relaySettle(request, expiresAt, signature);
+      };
+
+      await reserve(1n, ethers.parseEther("1"), false, 0);
+      await settle(1n, walletAddress, opponentWalletAddress);
+      await reserve(2n, 100n, true, 500);
+      await reserve(3n, ethers.parseEther("2"), false, 0);
+
+      const Wallet = await ethers.getContractFactory("BattleWallet");
+      const implementation = await Wallet.deploy();
+      await implementation.waitForDeployment();
+      const proxy = await ethers.getContractAt("BattleWalletProxy", walletAddress);
+      const data = Wallet.interface.encodeFunctionData("migrateLegacyStorage");
+      const upgradeSig = await signUpgrade(
+        owner,
+        buildProxyDomain(walletAddress, chainId),
+        walletAddress,
+        implementation.target,
+        data,
+        await proxy.upgradeNonce(),
+      );
+      await legacyFactory.connect(factoryOwner).upgradeBattleWallet(walletAddress, implementation.target, data, upgradeSig);
+
+      const wallet = await ethers.getContractAt("BattleWallet", walletAddress);
+      expect(await wallet.getOwnerAndFactory()).to.deep.equal([owner.address, legacyFactory.target]);
+      expect(await wallet.getCurrentNonce()).to.equal(3n);
+      expect(await wallet.getBattleRecord()).to.deep.equal([1n, 0n]);
+      expect(await wallet.getTotalReserved(token.target)).to.deep.equal([ethers.parseEther("2"), 100n]);
+      expect(await wallet.getAllGames()).to.deep.equal([1n, 2n, 3n]);
+      const [amount, opponentWallet, , reservedToken, found, opponentAmount, opponentToken] =
+        await wallet.getReservationDetails(2n);
+      expect([amount, opponentWallet, reservedToken, found, opponentAmount, opponentToken]).to.deep.equal([
+        100n,
+        opponentWalletAddress,
+        token.target,
+        true,
+        100n,
+        token.target,
+      ]);
+      expect(await wallet.getReservationFees(2n)).to.deep.equal([[feeWallet.address, 500n]]);
+      expect(await wallet.getReservationFees(3n)).to.deep.equal([]);
+      await expect(wallet.migrateLegacyStorage()).to.be.revertedWithCustomError(wallet, "AlreadyMigrated");
+
+      // the first factory still settles the upgraded wallet's games
+      await settle(3n, opponentWalletAddress, walletAddress);
+      expect(await wallet.getBattleRecord()).to.deep.equal([1n, 1n]);
+      expect(await wallet.getTotalReserved(token.target)).to.deep.equal([0n, 100n]);
+      await expect(wallet.withdrawToken(token.target, 901n)).to.be.revertedWithCustomError(wallet, "InsufficientFunds");
+      await expect(wallet.withdraw(ethers.parseEther("1")))
+        .to.emit(wallet, "EthWithdrawn")
+        .withArgs(owner.address, ethers.parseEther("1"));
+
+      // its cancel call no longer matches the wallet, so open games end by settlement or expiry
+      const cancelRequest = {
+        gameId: 2n,
+        walletOne: walletAddress,
+        walletTwo: opponentWalletAddress,
+        factory: legacyFactory.target,
+        expiresAt: await buildExpiration(),
+      };
+      const cancelSig = await adminSigner.signTypedData(factoryDomain, LEGACY_CANCEL_TYPES, cancelRequest);
+      await expect(
+        legacyFactory.relayCancel(walletAddress, opponentWalletAddress, 2n, cancelRequest.expiresAt, cancelSig),
+      ).to.be.reverted;
+      await time.increase(3600);
+      await wallet.releaseExpired(DEFAULT_RELEASE_TRAVERSAL_LIMIT);
+      expect(await wallet.getTotalReserved(token.target)).to.deep.equal([0n, 0n]);
+
+      // nor can it move its owner index, so the wallet keeps its owner
+      await wallet.transferOwnership(newOwner.address);
+      await expect(wallet.connect(newOwner).acceptOwnership()).to.be.reverted;
+      expect(await wallet.owner()).to.equal(owner.address);
+    });
   });
 });